@@ -0,0 +1,45 @@
+// Draw calls per die count, built meshes (buildDieMesh) vs a DicePool.
+//
+//   npm run bench
+//
+// Runs in Node without a GPU: a draw call is counted for every visible mesh or
+// line object, which is what WebGLRenderer issues for these single-material
+// objects. Labels are drawn to a no-op 2D context since only the scene graph matters.
+import * as THREE from 'three';
+import { buildDieMesh } from '../src/diceEngine.js';
+import { DicePool } from '../src/instancing.js';
+
+const noop = () => {};
+const context = new Proxy({}, {
+  get: (_, key) => (key === 'measureText' ? () => ({ width: 0 }) : noop),
+  set: () => true,
+});
+globalThis.document = {
+  createElement: () => ({ width: 0, height: 0, getContext: () => context }),
+};
+
+const COUNTS = [1, 6, 12, 24, 60, 120, 240];
+const POOLS = {
+  d6: () => ({ sides: 6, color: 0xdc2626 }),
+  'd6 pips': () => ({ sides: 6, color: 0xf8fafc, d6Style: 'dots' }),
+  d20: () => ({ sides: 20, color: 0x7c3aed }),
+  mixed: i => ({ sides: [4, 6, 8, 10, 12, 20][i % 6], color: [0x3b82f6, 0x16a34a][i % 2] }),
+};
+
+function drawCalls(object) {
+  let calls = 0;
+  object.traverseVisible(o => { if (o.isMesh || o.isLine) calls++; });
+  return calls;
+}
+
+Object.entries(POOLS).forEach(([name, die]) => {
+  const rows = COUNTS.map(count => {
+    const dice = Array.from({ length: count }, (_, i) => die(i));
+    const meshes = new THREE.Scene();
+    dice.forEach(d => meshes.add(buildDieMesh(d.sides, d.color, d.d6Style)));
+    const pool = new THREE.Scene().add(new DicePool(dice).group);
+    return { dice: count, meshes: drawCalls(meshes), pool: drawCalls(pool) };
+  });
+  console.log(`\n${name}: draw calls`);
+  console.table(rows);
+});
@@ -1,286 +1,246 @@
-import { useRef, useEffect, useState } from 'react';
-import * as THREE from 'three';
-import {
-  FACE_LABELED,
-  SETTLE_SECS,
-  parseColor,
-  buildDieMesh,
-  settleQuat,
-} from './diceEngine.js';
+import { useRef, useMemo, useEffect, useState, useContext, forwardRef, useImperativeHandle } from 'react';
+import { isFaceLabeled } from './diceEngine.js';
+import { describeRoll } from './notation.js';
+import { annotateDice, rollTotal } from './annotations.js';
+import { DiceScene, normalizeDice, expandDice, configKeyOf } from './DiceScene.js';
+import { computeLayout, layoutKey, seedLayout, LAYOUT_SPACING } from './layouts.js';
+import { DiceRendererContext } from './DiceProvider.jsx';
+
+/** Hidden from view but read by screen readers */
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+};
+
+/** Overlay number colors for annotation marks */
+const MARK_COLORS = { crit: '#fbbf24', fumble: '#f87171' };
 
 /**
- * Dice3D -- A React component that renders 3D dice using Three.js.
+ * Dice3D -- A React component that renders 3D dice using Three.js, a thin
+ * wrapper over DiceScene.
  *
  * Props:
  *   sides        (number)  - Number of sides (4, 6, 8, 10, 12, 20, or any)
- *   color        (number | string) - Hex color: 0x3b82f6, '#3b82f6', or Tailwind class
+ *   color        (number | string) - 0x3b82f6, any CSS color ('#3b82f6', 'rgb(…)', 'hsl(…)', 'red', 'var(--die)') or Tailwind class; alpha makes the die transparent
  *   results      (number[]) - Array of roll results, one per die
+ *   dice         (object[]) - Mixed pool: [{ sides, color, result, d6Style, d4Style, faces, theme, id }], overrides sides/results
+ *   keys         (array)   - Identity of each die in dice / results order (or an `id` per die): added, removed and
+ *                             changed dice are built, disposed or re-landed alone while the rest stay put
  *   isRolling    (boolean)  - Whether dice are currently rolling
  *   animationMode ('full' | 'quick' | 'none') - Animation style
  *   rollTrigger  (number)   - Increment to trigger a new roll render
  *   d6Style      ('numbers' | 'dots') - D6 label style
+ *   d4Style      ('faces' | 'vertices') - D4 label style (vertices = three corner numbers per face, read at the top)
+ *   faces        (array)   - Custom face content, faces[n - 1] replaces number n: text, emoji, { path }, { image } or an image element
+ *   theme        (string | object) - Appearance preset ('plastic', 'matte', 'metal', 'glass') or partial theme object
+ *   physics      (boolean | object) - Seeded rigid-body throw instead of canned spin: true or { seed, spin, maxTime }
  *   height       (number)   - Container height in px (auto-computed if omitted)
  *   className    (string)   - Optional CSS class for the container
  *   style        (object)   - Optional inline styles merged onto container
  *   emptyText    (string)   - Text shown when no results (default: 'Press Roll to see 3D dice')
+ *   onRollStart  (fn)       - Called when the dice start spinning (or a throw starts without a spin)
+ *   onDieSettled (fn)       - Called with { index, result, sides } as each die comes to rest (a percentile pair counts once)
+ *   onAllSettled (fn)       - Called with the results array once every die is at rest
+ *   onRollRecorded (fn)     - Called after onAllSettled with a JSON roll log of the roll, for ref.replay()
+ *   heldDice     (number[]) - Indices of held dice: outlined, raised and tinted, they sit out the next roll
+ *   onDieClick   (fn)       - Called with { index, result, sides, held } when a die is clicked (or Enter/Space on the focused die)
+ *   onDieHover   (fn)       - Called with the same event when the pointer enters a die, and with null when it leaves
+ *   throwable    (boolean)  - Drag the dice and release to throw them (always a physics throw)
+ *   onThrow      (fn)       - Called on release with { velocity, speed }; returns the results (or a Promise of them) to land on
+ *   announce     (boolean)  - Announce each settled roll in an ARIA live region (default true)
+ *   formatAnnouncement (fn) - (dice: [{ sides, result, dropped, faces }]) => string, replaces the default "Rolled 2d6: 3 and 5, total 8"
+ *   ariaLabel    (string)   - Accessible label for the dice canvas (default: a description of the current dice)
+ *   respectReducedMotion (boolean) - Use animationMode 'none' and stop idle motion under prefers-reduced-motion (default true)
+ *   instanced    (boolean | 'auto') - Draw all dice in a few instanced draw calls (default 'auto': from 24 dice on)
+ *   layout       (string | object | fn) - 'grid' (default), 'row', 'circle', 'scatter', 'grouped',
+ *                                         { type, ...options } or (dice, { spacing }) => [{ x, y }]
+ *   tray         (boolean | object) - Dice on a felt or wood table under a perspective camera, with shadows:
+ *                                     true or { surface: 'felt' | 'wood', color, walls, shadows }
+ *   sync         (DiceSync) - Send this table's rolls to the other clients of a DiceSync and replay theirs
+ *   annotations  (boolean | object) - Crit glow, fumble tint and ghosted dropped dice as the dice settle, plus an
+ *                                     optional total badge: true or { crit, fumble, dropped, total, modifier }
+ *
+ * Inside a <DiceProvider> the dice are drawn through its shared renderer instead of a WebGL context per instance.
+ *
+ * Ref handle (forwardRef):
+ *   roll(results?, { duration, seed }) - Spin, then land on `results` (default: the current ones); resolves with them once settled
+ *   setResults(results)          - Show new results without a spin
+ *   stop()                       - Finish the current spin, settle or throw immediately
+ *   replay(log)                  - Play a roll log (onRollRecorded) back exactly; resolves with its results once settled
+ *   toDataURL(type?, quality?)   - Capture the current frame
+ *   toBlob(type?, quality?)      - Same, as a Promise<Blob>
+ * Results set through the ref override the `results` prop (or each `dice[i].result`) until those props change.
  */
-const Dice3D = ({
+const Dice3D = forwardRef(({
   sides,
   color = 0x3b82f6,
   results = [],
+  dice,
   isRolling = false,
   animationMode = 'full',
   rollTrigger = 0,
   d6Style = 'numbers',
+  d4Style = 'faces',
+  faces,
+  theme,
+  physics = false,
   height,
   className,
   style,
   emptyText = 'Press Roll to see 3D dice',
-}) => {
+  onRollStart,
+  onDieSettled,
+  onAllSettled,
+  onRollRecorded,
+  heldDice,
+  onDieClick,
+  onDieHover,
+  throwable = false,
+  onThrow,
+  announce = true,
+  formatAnnouncement,
+  ariaLabel,
+  respectReducedMotion = true,
+  instanced = 'auto',
+  layout = 'grid',
+  tray = false,
+  sync,
+  annotations = false,
+  keys,
+}, ref) => {
   const mountRef = useRef(null);
-  const S = useRef({
-    scene: null, camera: null, renderer: null,
-    meshes: [], gridPos: [], animId: null,
-    phase: 'idle', settleStart: 0, settleData: [],
-    frustumHalf: 2.5,
-  });
-  const rollingRef = useRef(isRolling);
-  const modeRef = useRef(animationMode);
-  const numberedRef = useRef(FACE_LABELED.has(sides));
-  rollingRef.current = isRolling;
-  modeRef.current = animationMode;
-  numberedRef.current = FACE_LABELED.has(sides);
+  const sceneRef = useRef(null);
+  // Inside a DiceProvider, draw through its shared renderer
+  const sharedRenderer = useContext(DiceRendererContext);
+  const callbacksRef = useRef({});
+  callbacksRef.current = {
+    onRollStart, onDieSettled, onAllSettled, onRollRecorded, onDieClick, onDieHover,
+    announce: text => {
+      if (announce) setAnnouncement(text);
+    },
+    format: formatAnnouncement || describeRoll,
+  };
 
-  const [overlayPos, setOverlayPos] = useState([]);
-  const hexColor = parseColor(color);
-  const isNumbered = FACE_LABELED.has(sides);
+  // What the scene is showing: dice (with ref-set results) and overlay positions
+  const [view, setView] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
 
-  // --- Effect 1: Init scene + persistent animation loop ---
+  const input = Array.isArray(dice) ? dice : results;
+  const defaults = { sides, color, d6Style, d4Style, faces, theme };
+  const propDice = normalizeDice(input, defaults);
+  const logicalDice = view ? view.dice : propDice;
+  const diceList = expandDice(logicalDice);
+  // An unseeded 'scatter' draws its seed once per set of dice, so the auto height and the scene's spots agree
+  const propConfig = configKeyOf(expandDice(propDice));
+  const viewKey = `${configKeyOf(diceList)}/${diceList.map(d => d.result).join(',')}`;
+  const placement = useMemo(() => seedLayout(layout), [layoutKey(layout), propConfig]); // eslint-disable-line react-hooks/exhaustive-deps
+  const area = useMemo(() => computeLayout(logicalDice, placement), [placement, viewKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // --- Scene lifetime ---
   useEffect(() => {
     const el = mountRef.current;
     if (!el) return;
-    const s = S.current;
-
-    const scene = new THREE.Scene();
-    const w0 = el.clientWidth;
-    const h0 = Math.max(el.clientHeight, 1);
-    const aspect = w0 / h0;
-    const fh = 2.5;
-    const camera = new THREE.OrthographicCamera(
-      -fh * aspect, fh * aspect, fh, -fh, 0.1, 100
-    );
-    camera.position.set(0, 0, 10);
-    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    renderer.setSize(el.clientWidth, el.clientHeight);
-    renderer.setClearColor(0x000000, 0);
-    el.appendChild(renderer.domElement);
-
-    scene.add(new THREE.AmbientLight(0xffffff, 0.5));
-    const kl = new THREE.DirectionalLight(0xffffff, 1.0);
-    kl.position.set(5, 8, 5);
-    scene.add(kl);
-    const fl = new THREE.DirectionalLight(0xffffff, 0.3);
-    fl.position.set(-3, -2, 4);
-    scene.add(fl);
-
-    s.scene = scene;
-    s.camera = camera;
-    s.renderer = renderer;
-
-    function updateOverlay() {
-      if (s.gridPos.length === 0) return;
-      camera.updateProjectionMatrix();
-      setOverlayPos(s.gridPos.map(gp => {
-        const v = new THREE.Vector3(gp.x, gp.y, 0).project(camera);
-        return {
-          left: ((v.x * 0.5 + 0.5) * 100).toFixed(2) + '%',
-          top: ((-v.y * 0.5 + 0.5) * 100).toFixed(2) + '%',
-        };
-      }));
-    }
-    s.updateOverlay = updateOverlay;
-
-    const ro = new ResizeObserver(() => {
-      const w = el.clientWidth;
-      const h = el.clientHeight;
-      if (w === 0 || h === 0) return;
-      const a = w / h;
-      const fh2 = s.frustumHalf;
-      camera.left = -fh2 * a;
-      camera.right = fh2 * a;
-      camera.top = fh2;
-      camera.bottom = -fh2;
-      camera.updateProjectionMatrix();
-      renderer.setSize(w, h);
-      updateOverlay();
+    const scene = new DiceScene({ renderer: sharedRenderer });
+    sceneRef.current = scene;
+    const cb = () => callbacksRef.current;
+    scene.on('rollstart', () => { if (cb().onRollStart) cb().onRollStart(); });
+    scene.on('diesettled', e => { if (cb().onDieSettled) cb().onDieSettled(e); });
+    scene.on('allsettled', list => {
+      cb().announce(cb().format(scene.dice.map(d => ({ sides: d.sides, result: d.result, dropped: d.dropped, faces: d.faces }))));
+      if (cb().onAllSettled) cb().onAllSettled(list);
     });
-    ro.observe(el);
-
-    const loop = (time) => {
-      s.animId = requestAnimationFrame(loop);
-      const t = time / 1000;
-      const meshes = s.meshes;
-      const mode = modeRef.current;
-      const numbered = numberedRef.current;
-
-      if (s.phase === 'spinning' && mode !== 'none') {
-        const spd = mode === 'full' ? 10 : 15;
-        meshes.forEach((m, i) => {
-          m.rotation.x += (spd + i * 2) * 0.016;
-          m.rotation.y += (spd * 0.8 + i) * 0.016;
-          m.rotation.z += spd * 0.3 * 0.016;
-        });
-      } else if (s.phase === 'settling') {
-        const elapsed = (time - s.settleStart) / 1000;
-        const p = Math.min(elapsed / SETTLE_SECS, 1);
-        const e = 1 - Math.pow(1 - p, 3);
-        meshes.forEach((m, i) => {
-          const d = s.settleData[i];
-          if (d) m.quaternion.slerpQuaternions(d.from, d.to, e);
-        });
-        if (p >= 1) s.phase = 'idle';
-      } else if (s.phase === 'idle' && meshes.length > 0) {
-        meshes.forEach((m, i) => {
-          if (numbered && s.settleData[i]) {
-            const w = new THREE.Quaternion().setFromEuler(new THREE.Euler(
-              Math.sin(t * 0.8 + i) * 0.03,
-              Math.sin(t * 0.6 + i * 0.5) * 0.05,
-              0
-            ));
-            m.quaternion.copy(s.settleData[i].to).multiply(w);
-          } else {
-            m.rotation.x += 0.004;
-            m.rotation.y += 0.006;
-          }
-          if (s.gridPos[i]) {
-            m.position.y = s.gridPos[i].y + Math.sin(t * 1.2 + i * 0.7) * 0.06;
-          }
-        });
-      }
-
-      renderer.render(scene, camera);
-    };
-    s.animId = requestAnimationFrame(loop);
-
+    scene.on('rollrecorded', log => { if (cb().onRollRecorded) cb().onRollRecorded(log); });
+    scene.on('diefocus', e => {
+      cb().announce(`Die ${e.index + 1} of ${scene.dice.length}: d${e.sides} showing ${e.result}${e.held ? ', held' : ''}`);
+    });
+    scene.on('busy', setBusy);
+    scene.on('overlay', setView);
+    scene.mount(el);
     return () => {
-      ro.disconnect();
-      if (s.animId) cancelAnimationFrame(s.animId);
-      s.meshes.forEach(m => {
-        scene.remove(m);
-        m.traverse(ch => {
-          if (ch.geometry) ch.geometry.dispose();
-          if (ch.material) ch.material.dispose();
-        });
-      });
-      renderer.dispose();
-      if (renderer.domElement.parentNode === el) el.removeChild(renderer.domElement);
-      s.scene = null; s.camera = null; s.renderer = null;
-      s.meshes = []; s.gridPos = []; s.animId = null;
+      scene.dispose();
+      sceneRef.current = null;
     };
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
-  // --- Effect 2: Build meshes when dice config changes ---
+  // Picking (and keyboard selection) only run while someone listens
+  const clickable = !!onDieClick;
+  const hoverable = !!onDieHover;
   useEffect(() => {
-    const s = S.current;
-    if (!s.scene) return;
-
-    s.meshes.forEach(m => {
-      s.scene.remove(m);
-      m.traverse(ch => {
-        if (ch.geometry) ch.geometry.dispose();
-        if (ch.material) ch.material.dispose();
-      });
-    });
-    s.meshes = [];
-    s.gridPos = [];
-    s.settleData = [];
-    s.phase = 'idle';
-
-    const count = results.length;
-    if (count === 0) { setOverlayPos([]); return; }
-
-    const cols = Math.min(count, 5);
-    const rows = Math.ceil(count / cols);
-    const spacing = 2.8;
-
-    for (let i = 0; i < count; i++) {
-      const mesh = buildDieMesh(sides, hexColor, d6Style);
-      const row = Math.floor(i / cols);
-      const inRow = i - row * cols;
-      const rowItems = row === rows - 1 ? count - row * cols : cols;
-      const x = (-(rowItems - 1) / 2 + inRow) * spacing;
-      const y = ((rows - 1) / 2 - row) * spacing;
-
-      mesh.position.set(x, y, 0);
-      mesh.rotation.set(
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2
-      );
-      s.scene.add(mesh);
-      s.meshes.push(mesh);
-      s.gridPos.push({ x, y });
-    }
-
-    const el = mountRef.current;
-    const spanX = Math.min(count, 5) * spacing;
-    const spanY = rows * spacing;
-    const asp = el ? el.clientWidth / Math.max(el.clientHeight, 1) : 1;
-    const margin = 1.5;
-    const needY = spanY / 2 + margin;
-    const needX = (spanX / 2 + margin) / asp;
-    const fh = Math.max(needY, needX, 2.5);
-    s.frustumHalf = fh;
-    s.camera.left = -fh * asp;
-    s.camera.right = fh * asp;
-    s.camera.top = fh;
-    s.camera.bottom = -fh;
-    s.camera.updateProjectionMatrix();
-
-    if (s.updateOverlay) s.updateOverlay();
+    const scene = sceneRef.current;
+    if (!scene || !clickable) return undefined;
+    return scene.on('dieclick', e => callbacksRef.current.onDieClick(e));
+  }, [clickable]);
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene || !hoverable) return undefined;
+    return scene.on('diehover', e => callbacksRef.current.onDieHover(e));
+  }, [hoverable]);
 
-    if (!rollingRef.current && isNumbered) {
-      s.phase = 'settling';
-      s.settleStart = performance.now();
-      s.settleData = s.meshes.map((m, i) => ({
-        from: m.quaternion.clone(),
-        to: settleQuat(m, results[i], sides) || new THREE.Quaternion(),
-      }));
-    }
-  }, [results.length, sides, hexColor, rollTrigger, isNumbered, d6Style]); // eslint-disable-line react-hooks/exhaustive-deps
+  // Shared table: this scene's rolls go out, everyone else's are replayed here
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene || !sync) return undefined;
+    return sync.attach(scene);
+  }, [sync]);
 
-  // --- Effect 3: Handle rolling state transitions ---
+  // --- Props to scene, every render (the scene diffs them) ---
   useEffect(() => {
-    const s = S.current;
-    if (isRolling) {
-      s.phase = 'spinning';
-      s.settleData = [];
-    } else if (s.phase === 'spinning' && results.length > 0) {
-      s.phase = 'settling';
-      s.settleStart = performance.now();
-      s.settleData = s.meshes.map((m, i) => {
-        const from = m.quaternion.clone();
-        let to = null;
-        if (isNumbered && m.userData.faces) {
-          to = settleQuat(m, results[i], sides);
-        }
-        if (!to) {
-          to = new THREE.Quaternion().setFromEuler(
-            new THREE.Euler(Math.random() * 0.3, Math.random() * 0.3, 0)
-          );
-        }
-        return { from, to };
-      });
-    }
-  }, [isRolling, results, isNumbered, sides]);
+    const scene = sceneRef.current;
+    if (!scene) return;
+    scene.update({
+      defaults,
+      animationMode,
+      physics,
+      heldDice: heldDice || [],
+      throwable,
+      onThrow,
+      respectReducedMotion,
+      instanced,
+      layout: placement,
+      tray,
+      annotations,
+      keys: keys || null,
+      dice: input,
+      rolling: isRolling,
+      trigger: rollTrigger,
+    });
+  });
+
+  // --- Ref handle ---
+  // Before mount and after unmount there is no scene: rolls reject, the rest do nothing
+  useImperativeHandle(ref, () => ({
+    roll: (next, options) => (sceneRef.current ? sceneRef.current.roll(next, options) : Promise.reject(new Error('Dice3D is not mounted'))),
+    setResults: next => { if (sceneRef.current) sceneRef.current.setResults(next); },
+    stop: () => { if (sceneRef.current) sceneRef.current.stop(); },
+    replay: log => (sceneRef.current ? sceneRef.current.replay(log) : Promise.reject(new Error('Dice3D is not mounted'))),
+    toDataURL: (type, quality) => (sceneRef.current ? sceneRef.current.toDataURL(type, quality) : ''),
+    toBlob: (type, quality) => (sceneRef.current ? sceneRef.current.toBlob(type, quality) : Promise.resolve(null)),
+  }), []);
 
   // --- Render ---
-  const rowCount = Math.ceil(results.length / 5) || 1;
+  const rolling = isRolling || busy;
+  // Auto height: 130px per row of dice the layout is tall
+  const rowCount = Math.max(1, (area.halfHeight * 2) / LAYOUT_SPACING);
   const computedH = Math.max(200, rowCount * 130 + 50);
   const canvasH = height != null ? height : computedH;
-  const showOverlay = !isNumbered && !isRolling && results.length > 0;
-  const fs = results.length > 10 ? '0.875rem' : results.length > 5 ? '1.1rem' : '1.5rem';
+  const showOverlay = !rolling && diceList.some(d => !isFaceLabeled(d.sides));
+  const fs = diceList.length > 10 ? '0.875rem' : diceList.length > 5 ? '1.1rem' : '1.5rem';
+  // A shared renderer's canvas covers the page; overlay numbers and the badge go above it
+  const overlayZ = sharedRenderer ? sharedRenderer.options.zIndex + 1 : 10;
+  const marks = rolling ? [] : annotateDice(logicalDice, annotations);
+  const total = rolling ? null : rollTotal(logicalDice, annotations);
+
+  const canvasLabel = ariaLabel || (logicalDice.length === 0
+    ? emptyText || 'Dice'
+    : rolling ? 'Dice rolling' : describeRoll(logicalDice));
 
   const containerStyle = {
     position: 'relative',
@@ -292,39 +252,105 @@ const Dice3D = ({
 
   return (
     <div className={className} style={containerStyle}>
-      <div ref={mountRef} style={{ width: '100%', height: '100%' }} />
+      <div ref={mountRef} role="img" aria-label={canvasLabel} style={{ width: '100%', height: '100%' }} />
+
+      {/* Screen-reader announcement of each settled roll */}
+      {announce && (
+        <div role="status" aria-live="polite" aria-atomic="true" style={VISUALLY_HIDDEN}>
+          {announcement}
+        </div>
+      )}
 
       {/* Overlay numbers for non-face-labeled dice */}
-      {showOverlay && overlayPos.length === results.length &&
-        results.map((val, i) => (
+      {showOverlay && view &&
+        view.positions.map((p, i) => !p.labeled && (
           <div
             key={`${rollTrigger}-${i}`}
+            aria-hidden="true"
             style={{
               position: 'absolute',
               pointerEvents: 'none',
-              left: overlayPos[i].left,
-              top: overlayPos[i].top,
+              left: p.left,
+              top: p.top,
               transform: 'translate(-50%, -50%)',
-              zIndex: 10,
+              zIndex: overlayZ,
               animation: 'rdice3d-numIn 0.3s ease-out',
+              opacity: diceList[i] && marks[diceList[i].owner] === 'dropped' ? 0.4 : 1,
             }}
           >
             <span
               style={{
                 fontWeight: 'bold',
-                color: 'white',
+                color: diceList[i] ? MARK_COLORS[marks[diceList[i].owner]] || 'white' : 'white',
                 fontVariantNumeric: 'tabular-nums',
                 fontSize: fs,
                 textShadow: '0 2px 8px rgba(0,0,0,0.9), 0 0 4px rgba(0,0,0,0.6)',
               }}
             >
-              {val}
+              {p.result}
             </span>
           </div>
         ))}
 
+      {/* Combined result under each percentile pair */}
+      {!rolling && view && view.pairs.map(p => (
+        <div
+          key={`${rollTrigger}-pct-${p.index}`}
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            pointerEvents: 'none',
+            left: p.left,
+            top: p.top,
+            transform: 'translate(-50%, -50%)',
+            zIndex: overlayZ,
+            animation: 'rdice3d-numIn 0.3s ease-out',
+          }}
+        >
+          <span
+            style={{
+              fontWeight: 'bold',
+              color: 'white',
+              fontVariantNumeric: 'tabular-nums',
+              fontSize: '0.875rem',
+              textShadow: '0 2px 8px rgba(0,0,0,0.9), 0 0 4px rgba(0,0,0,0.6)',
+            }}
+          >
+            {p.result}
+          </span>
+        </div>
+      ))}
+
+      {/* Total badge */}
+      {total && (
+        <div
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            pointerEvents: 'none',
+            top: '0.5rem',
+            right: '0.5rem',
+            zIndex: overlayZ,
+            padding: '0.25rem 0.75rem',
+            borderRadius: '9999px',
+            background: 'rgba(15, 23, 42, 0.75)',
+            color: 'white',
+            fontWeight: 'bold',
+            fontVariantNumeric: 'tabular-nums',
+            animation: 'rdice3d-badgeIn 0.3s ease-out',
+          }}
+        >
+          {total.value}
+          {total.modifier !== 0 && (
+            <span style={{ marginLeft: '0.375rem', fontSize: '0.75em', fontWeight: 'normal', opacity: 0.75 }}>
+              ({total.modifier > 0 ? '+' : ''}{total.modifier})
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Empty state */}
-      {results.length === 0 && !isRolling && emptyText && (
+      {diceList.length === 0 && !rolling && emptyText && (
         <div style={{
           position: 'absolute',
           inset: 0,
@@ -349,9 +375,15 @@ const Dice3D = ({
           from { opacity: 0; transform: translate(-50%, -50%) scale(0.5); }
           to { opacity: 1; transform: translate(-50%, -50%) scale(1); }
         }
+        @keyframes rdice3d-badgeIn {
+          from { opacity: 0; transform: scale(0.8); }
+          to { opacity: 1; transform: scale(1); }
+        }
       `}</style>
     </div>
   );
-};
+});
+
+Dice3D.displayName = 'Dice3D';
 
 export default Dice3D;
@@ -0,0 +1,22 @@
+import { createContext, useState, useEffect } from 'react';
+import { DiceRenderer } from './DiceRenderer.js';
+
+/** The DiceRenderer shared by every Dice3D below a DiceProvider (null outside one) */
+export const DiceRendererContext = createContext(null);
+
+/**
+ * DiceProvider -- renders every Dice3D inside it through one shared WebGL
+ * context, drawn onto a single overlay canvas (see DiceRenderer). Use it when
+ * a page has more dice widgets than the browser allows WebGL contexts.
+ *
+ * Props:
+ *   zIndex     (number) - Stacking order of the overlay canvas (default 10)
+ *   pixelRatio (number) - Device pixel ratio cap (default 2)
+ *
+ * Dice3D reads the provider when it mounts; the options are read once.
+ */
+export function DiceProvider({ children, zIndex, pixelRatio }) {
+  const [renderer] = useState(() => new DiceRenderer({ zIndex, pixelRatio }));
+  useEffect(() => () => renderer.dispose(), [renderer]);
+  return <DiceRendererContext.Provider value={renderer}>{children}</DiceRendererContext.Provider>;
+}
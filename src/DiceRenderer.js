@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+
+/**
+ * DiceRenderer -- one WebGL context shared by many DiceScenes. Browsers cap
+ * live WebGL contexts (often at 16) and drop the oldest past that, so pages
+ * with many dice widgets render them all through this instead.
+ *
+ * The renderer draws onto a single fixed, click-through canvas covering the
+ * window. Each frame, every attached view whose element is on screen is drawn
+ * into that element's rectangle with viewport + scissor, cut to the parts
+ * that ancestors with `overflow` other than visible leave showing. The overlay
+ * sits above the page, so dice still show through anything stacked over their
+ * element (a modal, a sticky header) unless it has a higher z-index than
+ * `zIndex`; Dice3D lifts its overlay numbers one above it.
+ *
+ *   const shared = new DiceRenderer();
+ *   const a = new DiceScene({ renderer: shared }).mount(elA);
+ *   const b = new DiceScene({ renderer: shared }).mount(elB);
+ *
+ * Options:
+ *   zIndex     (number) - Stacking order of the overlay canvas (default 10)
+ *   pixelRatio (number) - Device pixel ratio cap (default 2)
+ *
+ * The canvas and GL context are created with the first view and released
+ * with the last one (or dispose()), so an idle DiceRenderer costs nothing.
+ */
+export class DiceRenderer {
+  constructor(options = {}) {
+    this.options = {
+      zIndex: options.zIndex != null ? options.zIndex : 10,
+      pixelRatio: options.pixelRatio != null ? options.pixelRatio : 2,
+    };
+    this._views = [];
+    this._renderer = null;
+    this._animId = null;
+    // Per view: the ancestors that clip its overflow, found again after a scroll or resize
+    this._clippers = new Map();
+    this._onResize = () => this._resize();
+    this._onScroll = () => this._clippers.clear();
+  }
+
+  /** The overlay canvas (null while no view is attached) */
+  get domElement() {
+    return this._renderer ? this._renderer.domElement : null;
+  }
+
+  /**
+   * Draw `view` every frame: { element, scene, camera, frame(time) }. `frame`
+   * runs before the draw (and also while the element is off screen) so
+   * animations keep time. Returns a function that detaches the view.
+   */
+  attach(view) {
+    if (!this._renderer) this._start();
+    this._views.push(view);
+    this._clippers.delete(view);
+    return () => this.detach(view);
+  }
+
+  detach(view) {
+    this._views = this._views.filter(v => v !== view);
+    this._clippers.delete(view);
+    if (this._views.length === 0) this.dispose();
+  }
+
+  _start() {
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.options.pixelRatio));
+    renderer.setClearColor(0x000000, 0);
+    renderer.autoClear = false;
+    // Tray scenes cast shadows; without shadow-casting lights this costs nothing
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    Object.assign(renderer.domElement.style, {
+      position: 'fixed',
+      left: '0',
+      top: '0',
+      width: '100%',
+      height: '100%',
+      pointerEvents: 'none',
+      zIndex: String(this.options.zIndex),
+    });
+    renderer.domElement.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(renderer.domElement);
+    this._renderer = renderer;
+    this._resize();
+    window.addEventListener('resize', this._onResize);
+    // Capture phase: scrolling any ancestor can change which ones clip
+    window.addEventListener('scroll', this._onScroll, true);
+
+    const loop = (time) => {
+      this._animId = requestAnimationFrame(loop);
+      this._draw(time);
+    };
+    this._animId = requestAnimationFrame(loop);
+  }
+
+  _resize() {
+    this._clippers.clear();
+    if (this._renderer) this._renderer.setSize(window.innerWidth, window.innerHeight, false);
+  }
+
+  /** Ancestors of the view's element whose overflow isn't visible, cached until scroll, resize or re-attach */
+  _clipAncestors(view) {
+    const cached = this._clippers.get(view);
+    if (cached && cached.element === view.element) return cached.list;
+    const list = [];
+    for (let el = view.element.parentElement; el && el !== document.body; el = el.parentElement) {
+      const style = getComputedStyle(el);
+      if (style.overflowX !== 'visible' || style.overflowY !== 'visible') list.push(el);
+    }
+    this._clippers.set(view, { element: view.element, list });
+    return list;
+  }
+
+  /**
+   * View rectangle in canvas CSS pixels from the bottom left, or null when
+   * none of it shows. `clip` is its visible part: inside the window and inside
+   * every ancestor that clips its overflow (a scrolling list, a rounded card).
+   */
+  _rect(view) {
+    const element = view.element;
+    const r = element.getBoundingClientRect();
+    const vh = window.innerHeight;
+    if (r.width === 0 || r.height === 0) return null;
+    let left = Math.max(r.left, 0);
+    let top = Math.max(r.top, 0);
+    let right = Math.min(r.right, window.innerWidth);
+    let bottom = Math.min(r.bottom, vh);
+    for (const el of this._clipAncestors(view)) {
+      if (right <= left || bottom <= top) break;
+      // Overflow clips at the padding box, inside the borders and scrollbars
+      const a = el.getBoundingClientRect();
+      left = Math.max(left, a.left + el.clientLeft);
+      top = Math.max(top, a.top + el.clientTop);
+      right = Math.min(right, a.left + el.clientLeft + el.clientWidth);
+      bottom = Math.min(bottom, a.top + el.clientTop + el.clientHeight);
+    }
+    if (right <= left || bottom <= top) return null;
+    return {
+      x: r.left, y: vh - r.bottom, width: r.width, height: r.height,
+      clip: { x: left, y: vh - bottom, width: right - left, height: bottom - top },
+    };
+  }
+
+  _renderView(view, rect, clip = rect.clip) {
+    const renderer = this._renderer;
+    renderer.setViewport(rect.x, rect.y, rect.width, rect.height);
+    renderer.setScissor(clip.x, clip.y, clip.width, clip.height);
+    renderer.render(view.scene, view.camera);
+  }
+
+  _draw(time) {
+    const renderer = this._renderer;
+    renderer.setScissorTest(false);
+    renderer.clear();
+    renderer.setScissorTest(true);
+    this._views.forEach(view => {
+      view.frame(time);
+      const rect = this._rect(view);
+      if (rect) this._renderView(view, rect);
+    });
+  }
+
+  /**
+   * Draw `view` now and copy its rectangle into a canvas of its own, for
+   * toDataURL / toBlob. Returns null when the element isn't on screen.
+   */
+  capture(view) {
+    const renderer = this._renderer;
+    const rect = renderer && this._rect(view);
+    if (!rect) return null;
+    renderer.setScissorTest(true);
+    // Captures hold the whole element, clipped or not, drawn over a cleared rect
+    // so nothing from the last frame blends in
+    renderer.setScissor(rect.x, rect.y, rect.width, rect.height);
+    renderer.clear(true, true, false);
+    this._renderView(view, rect, rect);
+    const pr = renderer.getPixelRatio();
+    const src = renderer.domElement;
+    const out = document.createElement('canvas');
+    out.width = Math.round(rect.width * pr);
+    out.height = Math.round(rect.height * pr);
+    out.getContext('2d').drawImage(
+      src,
+      rect.x * pr, src.height - (rect.y + rect.height) * pr, out.width, out.height,
+      0, 0, out.width, out.height
+    );
+    return out;
+  }
+
+  /** Release the canvas and GL context; attaching a view starts them again */
+  dispose() {
+    if (!this._renderer) return;
+    cancelAnimationFrame(this._animId);
+    window.removeEventListener('resize', this._onResize);
+    window.removeEventListener('scroll', this._onScroll, true);
+    this._renderer.dispose();
+    const canvas = this._renderer.domElement;
+    if (canvas.parentNode) canvas.parentNode.removeChild(canvas);
+    this._renderer = null;
+    this._animId = null;
+    this._views = [];
+    this._clippers.clear();
+  }
+}
@@ -0,0 +1,1783 @@
+import * as THREE from 'three';
+import {
+  isFaceLabeled,
+  SETTLE_SECS,
+  PERCENTILE_SIDES,
+  buildDieMesh,
+  settleQuat,
+  splitPercentile,
+  faceContentKey,
+  faceNumberFor,
+  themeKey,
+} from './diceEngine.js';
+import { DicePool } from './instancing.js';
+import { annotateDice } from './annotations.js';
+import { computeLayout, layoutKey } from './layouts.js';
+import { TRAY_FOV, TRAY_TILT, trayOptions, trayKey, buildTray, placeTray, disposeTray, restHeight } from './tray.js';
+import { simulateRoll, sampleTrack } from './physics.js';
+import { createRng, randomSeed } from './random.js';
+import { ROLL_LOG_VERSION, parseRollLog, logDice } from './rollLog.js';
+
+/** Settings for dice that leave them out */
+const DIE_DEFAULTS = { sides: 6, color: 0x3b82f6, d6Style: 'numbers', d4Style: 'faces' };
+
+/**
+ * Normalize a dice list into one entry per die:
+ * { sides, color, result, d6Style, d4Style, faces, theme, dropped, id }.
+ * Entries are either die objects (missing fields come from `defaults`) or bare
+ * results, which all use `defaults`; undefined defaults are skipped. `override`
+ * replaces the results: a bare result list is replaced outright, die objects
+ * index by index.
+ */
+export function normalizeDice(dice, defaults = {}, override = null) {
+  const base = { ...DIE_DEFAULTS };
+  Object.keys(defaults).forEach(key => {
+    if (defaults[key] !== undefined) base[key] = defaults[key];
+  });
+  const list = dice || [];
+  const specs = list.some(d => d !== null && typeof d === 'object');
+  if (!specs) {
+    return (override || list).map(result => ({
+      sides: base.sides,
+      color: base.color,
+      result,
+      d6Style: base.d6Style,
+      d4Style: base.d4Style,
+      faces: base.faces,
+      theme: base.theme,
+    }));
+  }
+  return list.map((d, i) => ({
+    sides: d.sides != null ? d.sides : base.sides,
+    color: d.color != null ? d.color : base.color,
+    result: override && override[i] != null ? override[i] : d.result,
+    d6Style: d.d6Style || base.d6Style,
+    d4Style: d.d4Style || base.d4Style,
+    faces: d.faces || base.faces,
+    theme: d.theme != null ? d.theme : base.theme,
+    dropped: !!d.dropped,
+    id: d.id,
+  }));
+}
+
+/**
+ * Expand logical dice into the physical dice that get a mesh each.
+ * A percentile die becomes a tens D10 followed by a ones D10, each carrying
+ * the D10 face number to settle on. `owner` points back at the logical die.
+ */
+export function expandDice(list) {
+  const out = [];
+  list.forEach((d, owner) => {
+    if (d.sides === PERCENTILE_SIDES) {
+      const { tens, ones } = splitPercentile(d.result);
+      out.push({ ...d, sides: 10, result: tens, percentile: 'tens', owner });
+      out.push({ ...d, sides: 10, result: ones, percentile: 'ones', owner });
+    } else {
+      out.push({ ...d, owner });
+    }
+  });
+  return out;
+}
+
+/** Everything about a physical die that needs a new mesh when it changes */
+function dieConfigKey(d) {
+  return [
+    d.sides, d.color, d.d6Style, d.d4Style, d.percentile || '',
+    d.faces ? JSON.stringify(d.faces.map(faceContentKey)) : '',
+    themeKey(d.theme),
+  ].join(':');
+}
+
+/** Stable string for the meshes a set of physical dice needs */
+export function configKeyOf(phys) {
+  return phys.map(dieConfigKey).join('|');
+}
+
+function valuesKeyOf(phys) {
+  return phys.map(d => d.result).join(',');
+}
+
+/**
+ * Identity of each physical die for keyed updates: its logical die's `id`
+ * (or `keys[i]`), plus the half of a percentile pair it is. Null unless
+ * every die has a key and no two share one.
+ */
+function diceKeys(logical, phys, keys) {
+  const ids = logical.map((d, i) => (d.id != null ? d.id : keys && keys[i] != null ? keys[i] : null));
+  if (ids.some(id => id == null)) return null;
+  const out = phys.map(d => String(ids[d.owner]) + (d.percentile ? `/${d.percentile}` : ''));
+  return new Set(out).size === out.length ? out : null;
+}
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/** Spin time for roll() when no duration is given (ms) */
+const ROLL_SPIN_MS = 800;
+
+/** Spin speed per unit of spin rate (radians/s): 0.016 rad per frame at 60 fps */
+const SPIN_RATE = 0.96;
+
+/** Extra camera distance in tray mode: perspective narrows the near edge of the view */
+const TRAY_FIT = 1.15;
+
+/** Keyed updates: kept dice glide to their new places (s), new ones pop in (s) from a speck */
+const REFLOW_SECS = 0.4;
+const POP_SECS = 0.35;
+const POP_MIN_SCALE = 1e-3;
+
+/** Physical dice count from which instanced: 'auto' draws through a DicePool */
+const INSTANCED_MIN_DICE = 24;
+
+const HOLD_COLOR = 0xfacc15;
+const HOLD_TINT = 0x3a2f05;
+const HOLD_SCALE = 1.1;
+const HOVER_COLOR = 0xffffff;
+const OUTLINE_SCALE = 1.08;
+/** Annotation marks (see annotateDice): crit glow, fumble tint, dropped dice ghosted */
+const CRIT_COLOR = 0xfbbf24;
+const CRIT_TINT = 0x3d2a00;
+const GLOW_SCALE = 1.16;
+const FUMBLE_COLOR = 0xdc2626;
+const FUMBLE_TINT = 0x5c0a0a;
+const DROPPED_OPACITY = 0.3;
+const DROPPED_COLOR = 0x1f2937;
+
+/** Fade a built die (body, labels, edges) to `factor` of its own opacity; 1 restores it */
+function fadeMesh(mesh, factor) {
+  mesh.traverse(o => {
+    const mat = o.material;
+    if (!mat || o === mesh.userData.outline || o === mesh.userData.glow) return;
+    if (!mat.userData.base) mat.userData.base = { opacity: mat.opacity, transparent: mat.transparent };
+    const base = mat.userData.base;
+    const transparent = base.transparent || factor < 1;
+    if (transparent !== mat.transparent) mat.needsUpdate = true;
+    mat.transparent = transparent;
+    mat.opacity = base.opacity * factor;
+  });
+}
+
+/**
+ * Held dice are scaled up, tinted and outlined; hovered or keyboard-focused
+ * dice get a white outline. The outline is a back-face shell around the body.
+ * `mark` adds an annotation: a gold glow shell for 'crit', a red tint for
+ * 'fumble', a ghosted die for 'dropped'.
+ */
+function setHighlight(mesh, held, active, mark = null) {
+  // Pooled dice have no mesh of their own to outline; their body color is tinted instead
+  const pool = mesh.userData.pool;
+  if (pool) {
+    mesh.scale.setScalar(held ? HOLD_SCALE : 1);
+    const marked = { crit: CRIT_COLOR, fumble: FUMBLE_COLOR, dropped: DROPPED_COLOR }[mark];
+    pool.setTint(mesh.userData.poolIndex, held ? HOLD_COLOR : active ? HOVER_COLOR : marked != null ? marked : null);
+    return;
+  }
+  let outline = mesh.userData.outline;
+  if ((held || active) && !outline) {
+    outline = new THREE.Mesh(
+      mesh.geometry,
+      new THREE.MeshBasicMaterial({ side: THREE.BackSide, transparent: true, opacity: 0.9 })
+    );
+    outline.scale.setScalar(OUTLINE_SCALE);
+    outline.raycast = () => {};
+    mesh.add(outline);
+    mesh.userData.outline = outline;
+  }
+  if (outline) {
+    outline.visible = held || active;
+    outline.material.color.setHex(held ? HOLD_COLOR : HOVER_COLOR);
+  }
+  let glow = mesh.userData.glow;
+  if (mark === 'crit' && !glow) {
+    glow = new THREE.Mesh(
+      mesh.geometry,
+      new THREE.MeshBasicMaterial({
+        color: CRIT_COLOR,
+        side: THREE.BackSide,
+        transparent: true,
+        opacity: 0.55,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+      })
+    );
+    glow.scale.setScalar(GLOW_SCALE);
+    glow.raycast = () => {};
+    mesh.add(glow);
+    mesh.userData.glow = glow;
+  }
+  if (glow) glow.visible = mark === 'crit';
+  if (mark === 'dropped' || mesh.userData.faded) {
+    fadeMesh(mesh, mark === 'dropped' ? DROPPED_OPACITY : 1);
+    mesh.userData.faded = mark === 'dropped';
+  }
+  mesh.scale.setScalar(held ? HOLD_SCALE : 1);
+  const tint = held ? HOLD_TINT : mark === 'fumble' ? FUMBLE_TINT : mark === 'crit' ? CRIT_TINT : 0x000000;
+  if (mesh.material.emissive) mesh.material.emissive.setHex(tint);
+}
+
+/** Re-apply held / hover / focus visuals and annotation marks to every mesh */
+function refreshHighlights(s, list, held) {
+  s.meshes.forEach((m, i) => {
+    const owner = list[i] ? list[i].owner : -1;
+    setHighlight(m, held.has(owner), owner === s.hovered || owner === s.focused, s.marks[owner] || null);
+  });
+}
+
+/** Drag-to-throw tuning: pointer travel before a drag starts (px), velocity sampling window (ms), world speed clamp */
+const THROW_DRAG_PX = 6;
+const THROW_SAMPLE_MS = 100;
+const THROW_MIN_SPEED = 4;
+const THROW_MAX_SPEED = 22;
+/** A click this soon (ms) after a throw's release is the release itself, not a die click */
+const THROW_CLICK_MS = 50;
+
+/**
+ * Turn a release velocity (world units/s) into simulateRoll options: the dice
+ * fly along it, roll about the axis across it, and spin faster the harder the flick.
+ */
+function throwOptions(vx, vy) {
+  const speed = Math.hypot(vx, vy);
+  const clamped = Math.min(Math.max(speed, THROW_MIN_SPEED), THROW_MAX_SPEED);
+  const dx = speed > 1e-6 ? vx / speed : 1;
+  const dy = speed > 1e-6 ? vy / speed : 0;
+  return {
+    velocity: { x: dx * clamped, y: dy * clamped },
+    spinAxis: { x: -dy, y: dx, z: 0 },
+    spin: clamped / 10,
+  };
+}
+
+/**
+ * Inputs for a physics throw from the current layout: the dice (in face
+ * numbers) and the simulateRoll options. The tray walls follow the visible
+ * area. Held dice stay where they are as fixed obstacles. `gesture` (from
+ * throwOptions) overrides the seeded velocity and spin; `rand` draws the seed
+ * when the physics option doesn't fix one.
+ */
+function tumbleInputs(s, list, physics, held, gesture, rand = null) {
+  const opts = { ...(typeof physics === 'object' ? physics : {}), ...gesture };
+  const margin = 1;
+  // The simulation works in face numbers; resolve any label results first
+  const numbered = list.map((d, i) => {
+    const out = { ...d, result: faceNumberFor(d.result, d.faces) };
+    if (held.has(d.owner) && s.meshes[i] && s.gridPos[i]) {
+      out.fixed = { x: s.gridPos[i].x, y: s.gridPos[i].y, quaternion: s.meshes[i].quaternion };
+    }
+    return out;
+  });
+  const seed = opts.seed != null ? opts.seed : rand ? Math.floor(rand() * 4294967296) : randomSeed();
+  return [numbered, {
+    seed,
+    spin: opts.spin,
+    spinAxis: opts.spinAxis,
+    velocity: opts.velocity,
+    maxTime: opts.maxTime,
+    bounds: {
+      halfWidth: Math.max(s.view.halfWidth - margin, margin),
+      halfHeight: Math.max(s.view.halfHeight - margin, margin),
+    },
+    starts: s.gridPos.map(p => ({ x: p.x, y: p.y })),
+  }];
+}
+
+/** Pre-compute a physics throw (see tumbleInputs) and switch the scene to trajectory playback */
+function startTumble(s, list, physics, held, gesture) {
+  playTumble(s, ...tumbleInputs(s, list, physics, held, gesture));
+}
+
+/** A throw as the roll log keeps it: the simulateRoll options, face numbers and held dice */
+function throwRecord(dice, options) {
+  return {
+    ...options,
+    results: dice.map(d => d.result),
+    fixed: dice.map(d => (d.fixed ? { x: d.fixed.x, y: d.fixed.y, quaternion: d.fixed.quaternion.toArray() } : null)),
+  };
+}
+
+/** Simulate a throw and switch to trajectory playback, noting its inputs in the roll log */
+function playTumble(s, dice, options, start = performance.now()) {
+  s.tumble = simulateRoll(dice, options);
+  // Replays (and planned rolls) have their log already
+  if (s.record && !s.replay) {
+    recordSpin(s);
+    s.record.throw = throwRecord(dice, options);
+  }
+  s.phase = 'tumbling';
+  s.tumbleStart = start;
+  s.settleData = [];
+}
+
+/** Spin speed for an animation mode */
+function spinSpeed(mode) {
+  return mode === 'full' ? 10 : 15;
+}
+
+/** Turn physical die `i` `elapsed` seconds into a spin that started at rotation `from` */
+function spinRotation(rotation, from, i, spd, elapsed) {
+  return rotation.set(
+    from.x + (spd + i * 2) * SPIN_RATE * elapsed,
+    from.y + (spd * 0.8 + i) * SPIN_RATE * elapsed,
+    from.z + spd * 0.3 * SPIN_RATE * elapsed
+  );
+}
+
+/**
+ * Where a spun die settles: its result on top, or (unlabeled dice, which
+ * show the result in the overlay) a small tilt drawn from `rand`
+ */
+function settleTarget(m, d, rand) {
+  let to = null;
+  if (d && isFaceLabeled(d.sides) && m.userData.faces) {
+    to = settleQuat(m, d.result, d.sides);
+  }
+  return to || new THREE.Quaternion().setFromEuler(new THREE.Euler(rand() * 0.3, rand() * 0.3, 0));
+}
+
+/** Start the spin clock: spinning dice turn from where they are at a fixed rate */
+function startSpin(s) {
+  s.spinStart = performance.now();
+  s.spinFrom = s.meshes.map(m => m.rotation.clone());
+}
+
+/** Note in the roll log how long the dice spun before landing */
+function recordSpin(s) {
+  if (s.record && s.phase === 'spinning') s.record.spin = performance.now() - s.spinStart;
+}
+
+/** Note the settle (start and end orientations) in the roll log */
+function recordSettle(s) {
+  if (s.record) s.record.settle = s.settleData.map(d => d && { from: d.from.toArray(), to: d.to.toArray() });
+}
+
+/** A built mesh for physical die `d` */
+function dieMesh(d) {
+  return buildDieMesh(d.sides, d.color, d.d6Style, {
+    percentile: d.percentile,
+    d4Style: d.d4Style,
+    faces: d.faces,
+    theme: d.theme,
+  });
+}
+
+function disposeMesh(scene, mesh) {
+  scene.remove(mesh);
+  mesh.traverse(ch => {
+    if (ch.geometry) ch.geometry.dispose();
+    if (ch.material) ch.material.dispose();
+  });
+}
+
+/** Keys of update() that are stored as options */
+const OPTION_KEYS = [
+  'defaults', 'animationMode', 'physics', 'heldDice', 'throwable', 'onThrow', 'respectReducedMotion', 'instanced', 'layout',
+  'tray', 'annotations', 'keys',
+];
+
+/**
+ * DiceScene -- the framework-agnostic renderer behind Dice3D. It owns the
+ * Three.js scene, the render loop, picking, drag-to-throw and keyboard
+ * selection; Dice3D only turns props into update() calls.
+ *
+ *   const scene = new DiceScene({ defaults: { sides: 20 } }).mount(el);
+ *   scene.on('allsettled', results => console.log(results));
+ *   await scene.roll([17]);
+ *
+ * Options (constructor and update()):
+ *   defaults      (object)  - { sides, color, d6Style, d4Style, faces, theme } for dice that leave them out
+ *   animationMode ('full' | 'quick' | 'none')
+ *   physics       (boolean | object) - Seeded rigid-body throw instead of canned spin
+ *   heldDice      (number[]) - Indices of held dice
+ *   throwable     (boolean) - Drag the dice and release to throw them
+ *   onThrow       (fn)      - ({ velocity, speed }) => results | Promise<results> | undefined
+ *   respectReducedMotion (boolean) - Use animationMode 'none' under prefers-reduced-motion (default true)
+ *   instanced     (boolean | 'auto') - Draw the dice through a DicePool (a few draw calls for any
+ *                   number of dice); 'auto' (default) does so from 24 physical dice
+ *   layout        (string | object | fn) - Where the dice sit: 'grid' (default), 'row', 'circle',
+ *                   'scatter', 'grouped', { type, ...options } or a function (see computeLayout)
+ *   tray          (boolean | object) - Dice on a table under a perspective camera, with shadows:
+ *                   true or { surface: 'felt' | 'wood', color, walls, shadows } (default false)
+ *   annotations   (boolean | object) - Mark dice as they settle: crit glow, fumble tint, dropped dice
+ *                   ghosted; true or { crit, fumble, dropped } rules (see annotationRules)
+ *   keys          (array)   - Identity of each die, in dice order (or give die objects an `id`). With every
+ *                   die keyed, a dice change only builds the dice that came or changed and disposes the
+ *                   ones that went; the rest keep their pose and glide to the new layout
+ *   renderer      (DiceRenderer) - Constructor only: draw through a shared renderer instead of
+ *                   creating a WebGL context of its own
+ *
+ * Events (on/off):
+ *   rollstart ()                - The dice start spinning or a throw starts
+ *   diesettled ({ index, result, sides }) - A logical die comes to rest
+ *   allsettled (results)        - Every die is at rest
+ *   dieclick ({ index, result, sides, held }) - Click, or Enter/Space on the focused die
+ *   diehover (event | null)     - Pointer (or keyboard focus) enters a die, null when it leaves
+ *   diefocus (event)            - Keyboard focus moves to a die
+ *   busy (boolean)              - Spinning or throwing started / ended
+ *   overlay ({ dice, positions, pairs }) - Dice or their screen positions changed
+ *   rollplanned (log)           - The roll log as soon as the rest of the roll is known: as roll() starts,
+ *                                 otherwise when the dice land (`duration` is null); what DiceSync sends
+ *   rollrecorded (log)          - After allsettled: a JSON roll log of the roll that replay() plays back
+ *                                 (see parseRollLog); replays don't log themselves
+ * Listening for dieclick or diehover turns on picking; dieclick also makes the
+ * mount element focusable for keyboard selection.
+ */
+export class DiceScene {
+  constructor(options = {}) {
+    this.options = {
+      defaults: {},
+      animationMode: 'full',
+      physics: false,
+      heldDice: [],
+      throwable: false,
+      onThrow: null,
+      respectReducedMotion: true,
+      instanced: 'auto',
+      layout: 'grid',
+      tray: false,
+      annotations: false,
+      keys: null,
+    };
+    this._listeners = {};
+    this._input = [];
+    this._inputKey = '';
+    this._trigger = undefined;
+    this._override = null;
+    this._replayDice = null;  // dice of the last replay(), shown until the dice input changes
+    this._pendingReplay = null;
+    this._pendingPlan = null;  // roll() waiting for its rebuild: { seed, duration }
+    this._rolling = false;    // update({ rolling }), spin() and settle()
+    this._rolls = 0;          // bumped by roll() and setResults()
+    this._applied = null;
+    this._held = new Set();
+    this._heldKey = '';
+    this._prefersReduced = false;
+    this._busy = false;
+    this._logical = [];
+    this._phys = [];
+    this._keys = null;        // physical die keys (see diceKeys), null when not every die has one
+    this._el = null;
+    this._target = null;
+    // Shared DiceRenderer, fixed for the scene's lifetime
+    this._shared = options.renderer || null;
+    this._s = {
+      scene: null, camera: null, renderer: null,
+      meshes: [], pool: null, gridPos: [], built: [], animId: null,
+      phase: 'idle', settleStart: 0, settleData: [],
+      tumble: null, tumbleStart: 0, spinStart: 0, spinFrom: [],
+      record: null, replay: null,
+      frustumHalf: 2.5, layout: null, view: { halfWidth: 2.5, halfHeight: 2.5 }, reflow: null, pop: null,
+      tray: null, stage: null, keyLight: null,
+      rollActive: false, settled: [], marks: [],
+      hovered: -1, focused: -1,
+      drag: null, dragPoint: null, throwId: 0, releasedAt: null,
+      settleWaiters: [], instant: false,
+    };
+    this.update(options);
+  }
+
+  /** Current logical dice, with results set through roll() / setResults() applied */
+  get dice() {
+    return this._logical;
+  }
+
+  /** Whether the dice are spinning or being thrown */
+  get busy() {
+    return this._busy;
+  }
+
+  on(type, fn) {
+    (this._listeners[type] || (this._listeners[type] = [])).push(fn);
+    if (type === 'dieclick') this._syncFocusable();
+    return () => this.off(type, fn);
+  }
+
+  off(type, fn) {
+    const list = this._listeners[type];
+    if (list) this._listeners[type] = list.filter(f => f !== fn);
+    if (type === 'dieclick') this._syncFocusable();
+  }
+
+  _emit(type, ...args) {
+    (this._listeners[type] || []).slice().forEach(fn => fn(...args));
+  }
+
+  _has(type) {
+    return !!this._listeners[type] && this._listeners[type].length > 0;
+  }
+
+  _reduced() {
+    return this._prefersReduced && this.options.respectReducedMotion !== false;
+  }
+
+  _mode() {
+    if (this._reduced()) return 'none';
+    return this._s.replay ? this._s.replay.log.animationMode : this.options.animationMode;
+  }
+
+  _isRolling() {
+    return this._rolling;
+  }
+
+  /**
+   * Apply options and dice in one step; what framework wrappers call on every
+   * render. Besides the options: `dice` (see setDice), `rolling` (keep the dice
+   * spinning until set back to false) and `trigger` (a changed value re-throws
+   * the dice even when nothing else changed). Only keys present are applied.
+   */
+  update(props = {}) {
+    OPTION_KEYS.forEach(key => {
+      if (key in props) this.options[key] = props[key];
+    });
+    if ('dice' in props) {
+      this._input = props.dice || [];
+      const key = this._input.map(d => (d !== null && typeof d === 'object' ? d.result : d)).join(',');
+      // New results take over from ones set through roll() / setResults()
+      if (key !== this._inputKey) {
+        this._override = null;
+        this._replayDice = null;
+      }
+      this._inputKey = key;
+    }
+    if ('rolling' in props) this._rolling = !!props.rolling;
+    if ('trigger' in props) this._trigger = props.trigger;
+    if ('throwable' in props && this._target) {
+      // Touch drags throw the dice instead of scrolling the page
+      this._target.style.touchAction = this.options.throwable ? 'none' : '';
+    }
+    this._held = new Set(this.options.heldDice || []);
+    const heldKey = (this.options.heldDice || []).join(',');
+    const heldChanged = heldKey !== this._heldKey;
+    this._heldKey = heldKey;
+
+    this._apply();
+    if ('annotations' in props && !this._s.rollActive) this._remark();
+    if (heldChanged) refreshHighlights(this._s, this._phys, this._held);
+    return this;
+  }
+
+  /** Show a new set of dice: die objects ({ sides, result, color, … }) or bare results using `defaults` */
+  setDice(dice, props) {
+    return this.update({ ...props, dice });
+  }
+
+  setOptions(props) {
+    return this.update(props);
+  }
+
+  /** Start spinning until settle() */
+  spin() {
+    return this.update({ rolling: true });
+  }
+
+  /** Stop spinning and land on `results` (default: the current ones); resolves once every die is at rest */
+  settle(results) {
+    if (results) this._override = results;
+    this.update({ rolling: false });
+    return this._whenSettled();
+  }
+
+  /**
+   * Spin for `duration` ms (default 800), then land on `results`; resolves with
+   * them once settled. The whole roll is planned as it starts: the same `seed`
+   * (default: random) and dice give the same animation on any client. Before
+   * mount() the dice take the results at once; dispose() resolves a roll still
+   * in flight with the results it was landing on.
+   */
+  roll(results, options = {}) {
+    const s = this._s;
+    if (!s.scene) return this._applyUnmounted(results);
+    const settled = new Promise(resolve => s.settleWaiters.push(resolve));
+    if (results) this._override = results;
+    this._pendingPlan = {
+      seed: options.seed != null ? options.seed : randomSeed(),
+      duration: options.duration != null ? options.duration : ROLL_SPIN_MS,
+    };
+    this._rolls++;
+    this._apply();
+    return settled;
+  }
+
+  /** Show new results without a spin */
+  setResults(results) {
+    this._override = results;
+    this._rolls++;
+    this._apply();
+  }
+
+  /** Finish the current spin, settle or throw immediately */
+  stop() {
+    const s = this._s;
+    if (s.phase === 'spinning' || s.phase === 'settling' || s.phase === 'tumbling') s.instant = true;
+    this._apply();
+  }
+
+  /**
+   * Play back a roll log (from the 'rollrecorded' event, or its JSON string):
+   * its dice take over until the dice input changes, and land exactly as they
+   * did. Resolves with the results once every die is at rest, or rejects
+   * when `log` isn't a roll log this version can play.
+   */
+  replay(log) {
+    const s = this._s;
+    let parsed;
+    try {
+      parsed = parseRollLog(log);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    this._override = null;
+    this._replayDice = parsed.dice;
+    if (!s.scene) return this._applyUnmounted(null);
+    const settled = new Promise(resolve => s.settleWaiters.push(resolve));
+    this._pendingReplay = parsed;
+    this._pendingPlan = null;
+    this._rolling = false;
+    this._rolls++;
+    this._apply();
+    return settled;
+  }
+
+  /** roll() and replay() before mount(): nothing to animate, so the dice take their results at once */
+  _applyUnmounted(results) {
+    if (results) this._override = results;
+    this._pendingPlan = null;
+    this._pendingReplay = null;
+    this._rolls++;
+    this._apply();
+    return Promise.resolve(this._logical.map(d => d.result));
+  }
+
+  _whenSettled() {
+    const s = this._s;
+    if (!s.scene || !s.rollActive) return Promise.resolve(this._logical.map(d => d.result));
+    return new Promise(resolve => s.settleWaiters.push(resolve));
+  }
+
+  _capture() {
+    const s = this._s;
+    if (this._view) return this._shared.capture(this._view);
+    if (s.renderer && s.scene && s.camera) s.renderer.render(s.scene, s.camera);
+    return s.renderer ? s.renderer.domElement : null;
+  }
+
+  /** Capture the current frame */
+  toDataURL(type = 'image/png', quality) {
+    const canvas = this._capture();
+    return canvas ? canvas.toDataURL(type, quality) : '';
+  }
+
+  toBlob(type = 'image/png', quality) {
+    const canvas = this._capture();
+    if (!canvas) return Promise.resolve(null);
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+  }
+
+  /** Work out the logical and physical dice from the input, replay and override results */
+  _resolveDice() {
+    const logical = this._replayDice
+      ? normalizeDice(this._replayDice, {}, this._override)
+      : normalizeDice(this._input, this.options.defaults, this._override);
+    const phys = expandDice(logical);
+    const keys = diceKeys(logical, phys, this._replayDice ? null : this.options.keys);
+    this._logical = logical;
+    this._phys = phys;
+    this._keys = keys;
+    return { logical, phys, keys };
+  }
+
+  /** Diff the dice and roll state against what is on screen and react to the changes */
+  _apply() {
+    const { phys, keys } = this._resolveDice();
+    if (!this._s.scene) return;
+
+    const next = {
+      configKey: configKeyOf(phys) + (this._instanced() ? '#pool' : ''),
+      valuesKey: valuesKeyOf(phys),
+      trigger: `${this._trigger}:${this._rolls}`,
+      rolling: this._isRolling(),
+      layoutKey: layoutKey(this.options.layout),
+      trayKey: trayKey(this.options.tray),
+      keysKey: keys ? JSON.stringify(keys) : null,
+    };
+    const prev = this._applied;
+    this._applied = next;
+    const rebuild = !prev || prev.configKey !== next.configKey || prev.trigger !== next.trigger;
+    const changed = !prev || rebuild || prev.valuesKey !== next.valuesKey || prev.rolling !== next.rolling;
+    // Keyed dice changing outside a roll: only the dice that came, went or changed are touched
+    const reconcile = !!prev && prev.keysKey !== null && next.keysKey !== null
+      && prev.trigger === next.trigger && prev.rolling === next.rolling
+      && (rebuild || prev.valuesKey !== next.valuesKey || prev.keysKey !== next.keysKey)
+      && this._canReconcile();
+    if (prev && prev.trayKey !== next.trayKey) {
+      this._stage();
+      this._fitCamera();
+      this._emitOverlay();
+    }
+    if (reconcile) this._reconcile();
+    else if (rebuild) this._build();
+    else if (prev.layoutKey !== next.layoutKey) this._relayout();
+    if (changed && !reconcile) this._transition();
+    if (!rebuild && !reconcile && prev.valuesKey !== next.valuesKey) this._emitOverlay();
+    this._syncBusy();
+  }
+
+  /** Whether the dice can change in place: not mid-throw, mid-replay or empty */
+  _canReconcile() {
+    const s = this._s;
+    if (s.replay || this._pendingReplay || this._pendingPlan || this._phys.length === 0) return false;
+    return s.phase === 'idle' || s.phase === 'settling' || (s.phase === 'spinning' && this._isRolling());
+  }
+
+  _instanced() {
+    const { instanced } = this.options;
+    return instanced === true || (instanced === 'auto' && this._phys.length >= INSTANCED_MIN_DICE);
+  }
+
+  _disposeMeshes() {
+    const s = this._s;
+    if (s.pool) s.pool.dispose();
+    else s.meshes.forEach(m => disposeMesh(s.scene, m));
+    s.pool = null;
+    s.meshes = [];
+  }
+
+  /** Mark the start of a roll: clears the settled flags and fires rollstart once */
+  _beginRoll() {
+    const s = this._s;
+    s.settled = [];
+    this._clearMarks();
+    // A roll spun again before it landed is logged from here
+    if (!s.rollActive || (s.record && (s.record.settle || s.record.throw))) this._startRecord();
+    if (s.rollActive) return;
+    s.rollActive = true;
+    this._emit('rollstart');
+  }
+
+  /** Start the roll log: where the dice are and how they are turned as the roll begins */
+  _startRecord() {
+    const s = this._s;
+    s.record = s.replay ? null : {
+      startedAt: new Date().toISOString(),
+      start: performance.now(),
+      held: [...this._held],
+      animationMode: this.options.animationMode,
+      area: s.layout ? { ...s.layout } : null,
+      poses: s.meshes.map((m, i) => ({
+        x: s.gridPos[i] ? s.gridPos[i].x : m.position.x,
+        y: s.gridPos[i] ? s.gridPos[i].y : m.position.y,
+        rotation: [m.rotation.x, m.rotation.y, m.rotation.z],
+      })),
+      spin: 0,
+      settle: null,
+      throw: null,
+    };
+  }
+
+  /** The roll log of the current roll; `duration` is null until every die is at rest */
+  _rollLog(duration) {
+    const r = this._s.record;
+    const dice = logDice(this._logical);
+    return {
+      version: ROLL_LOG_VERSION,
+      startedAt: r.startedAt,
+      duration,
+      dice,
+      results: dice.map(d => d.result),
+      held: r.held,
+      animationMode: r.animationMode,
+      area: r.area,
+      poses: r.poses,
+      spin: r.spin,
+      settle: r.settle,
+      throw: r.throw,
+    };
+  }
+
+  /** Report the roll log as soon as the rest of the roll is known (see 'rollplanned') */
+  _emitPlanned() {
+    if (this._s.record) this._emit('rollplanned', this._rollLog(null));
+  }
+
+  /**
+   * Plan a roll() on the freshly built dice: spin for `duration` ms, then
+   * settle or throw, with every random choice drawn from `rand`. Returns the
+   * roll log (also the current record) for _startReplay to play.
+   */
+  _planRoll(rand, duration) {
+    const s = this._s;
+    const list = this._phys;
+    const held = this._held;
+    const mode = this._mode();
+    this._startRecord();
+    const record = s.record;
+    record.spin = duration;
+    if (this.options.physics && mode !== 'none') {
+      const [dice, options] = tumbleInputs(s, list, this.options.physics, held, null, rand);
+      record.throw = throwRecord(dice, options);
+    } else if (duration > 0 || list.some(d => isFaceLabeled(d.sides))) {
+      const spd = spinSpeed(record.animationMode);
+      const rotation = new THREE.Euler();
+      record.settle = s.meshes.map((m, i) => {
+        const d = list[i];
+        if (held.has(d.owner)) return { from: m.quaternion.toArray(), to: m.quaternion.toArray() };
+        // Without a spin, dice that show the result in the overlay stay as they are
+        if (duration === 0 && !isFaceLabeled(d.sides)) return null;
+        const from = new THREE.Quaternion().setFromEuler(spinRotation(rotation, m.rotation, i, spd, duration / 1000));
+        return { from: from.toArray(), to: settleTarget(m, d, rand).toArray() };
+      });
+    }
+    return this._rollLog(null);
+  }
+
+  /** Put the rebuilt dice where a roll log found them and play its roll; `record` keeps logging a planned roll */
+  _startReplay(log, record = null) {
+    const s = this._s;
+    s.meshes.forEach((m, i) => {
+      const pose = log.poses[i];
+      if (!pose) return;
+      m.position.set(pose.x, pose.y, 0);
+      m.rotation.set(pose.rotation[0], pose.rotation[1], pose.rotation[2]);
+      s.gridPos[i] = { x: pose.x, y: pose.y };
+    });
+    if (log.area) {
+      s.layout = { ...log.area };
+      this._fitCamera();
+    }
+    this._emitOverlay();
+    s.replay = { log, held: new Set(log.held) };
+    this._beginRoll();
+    s.record = record;
+    if (log.spin > 0 && this._mode() !== 'none') {
+      s.phase = 'spinning';
+      startSpin(s);
+    } else {
+      this._replayLanding(performance.now());
+    }
+  }
+
+  /** Land a replayed roll the way the log says: throw, settle, or just be at rest */
+  _replayLanding(start) {
+    const s = this._s;
+    const log = s.replay.log;
+    const list = this._phys;
+    if (log.throw) {
+      const { results, fixed, ...options } = log.throw;
+      const dice = list.map((d, i) => {
+        const out = { ...d, result: results[i] };
+        if (fixed[i]) out.fixed = { ...fixed[i], quaternion: new THREE.Quaternion().fromArray(fixed[i].quaternion) };
+        return out;
+      });
+      playTumble(s, dice, options, start);
+    } else if (log.settle) {
+      s.phase = 'settling';
+      s.settleStart = start;
+      s.settleData = log.settle.map(d => d && {
+        from: new THREE.Quaternion().fromArray(d.from),
+        to: new THREE.Quaternion().fromArray(d.to),
+      });
+    } else {
+      s.phase = 'idle';
+      s.meshes.forEach((m, i) => this._markSettled(i));
+    }
+  }
+
+  /** Take the annotation marks off the dice about to roll (held dice keep theirs) */
+  _clearMarks() {
+    const s = this._s;
+    s.marks = s.marks.map((mark, i) => (this._held.has(i) ? mark : null));
+    if (s.meshes.length > 0) refreshHighlights(s, this._phys, this._held);
+  }
+
+  /** Mark every die (at rest) by the annotation rules; visuals only change when a mark did */
+  _remark() {
+    const s = this._s;
+    const marks = annotateDice(this._logical, this.options.annotations);
+    if (marks.length === s.marks.length && marks.every((m, i) => m === s.marks[i])) return;
+    s.marks = marks;
+    if (s.meshes.length > 0) refreshHighlights(s, this._phys, this._held);
+  }
+
+  _syncBusy() {
+    const p = this._s.phase;
+    const busy = this._isRolling() || p === 'tumbling' || p === 'dragging' || p === 'awaiting'
+      || (!!this._s.replay && p === 'spinning');
+    if (busy === this._busy) return;
+    this._busy = busy;
+    this._emit('busy', busy);
+  }
+
+  _dieEvent(index) {
+    const d = this._logical[index];
+    return { index, result: d.result, sides: d.sides, held: this._held.has(index) };
+  }
+
+  // Report a physical die at rest; a logical die settles once all its meshes have
+  _markSettled(i) {
+    const s = this._s;
+    if (!s.rollActive || s.settled[i]) return;
+    s.settled[i] = true;
+    const list = this._phys;
+    const logical = this._logical;
+    const owner = list[i] && list[i].owner;
+    const ownerDone = list.every((d, j) => d.owner !== owner || s.settled[j]);
+    if (ownerDone && logical[owner]) {
+      const mark = annotateDice(logical, this.options.annotations)[owner];
+      if (mark !== (s.marks[owner] || null)) {
+        s.marks[owner] = mark;
+        refreshHighlights(s, list, this._held);
+      }
+      this._emit('diesettled', { index: owner, result: logical[owner].result, sides: logical[owner].sides });
+    }
+    if (list.every((d, j) => s.settled[j])) {
+      s.rollActive = false;
+      s.replay = null;
+      const results = logical.map(d => d.result);
+      const record = s.record ? this._rollLog(performance.now() - s.record.start) : null;
+      s.record = null;
+      this._emit('allsettled', results);
+      if (record) this._emit('rollrecorded', record);
+      s.settleWaiters.splice(0).forEach(resolve => resolve(results));
+    }
+  }
+
+  _project(gp) {
+    const v = new THREE.Vector3(gp.x, gp.y, gp.z || 0).project(this._s.camera);
+    return {
+      left: ((v.x * 0.5 + 0.5) * 100).toFixed(2) + '%',
+      top: ((-v.y * 0.5 + 0.5) * 100).toFixed(2) + '%',
+    };
+  }
+
+  /** Screen positions (as CSS percentages) for result numbers over unlabeled dice and under percentile pairs */
+  _emitOverlay() {
+    const s = this._s;
+    const list = this._phys;
+    s.camera.updateProjectionMatrix();
+    const positions = s.gridPos.length === list.length && list.length > 0
+      ? s.gridPos.map((gp, i) => ({
+        ...this._project({ ...gp, z: s.meshes[i] ? s.meshes[i].position.z : 0 }),
+        result: list[i].result,
+        labeled: isFaceLabeled(list[i].sides),
+      }))
+      : [];
+    // Percentile pair totals sit just below the midpoint of each pair
+    const pairs = [];
+    s.meshes.forEach((m, i) => {
+      if (m.userData.percentile !== 'tens' || !s.gridPos[i + 1] || !list[i]) return;
+      const a = s.gridPos[i], b = s.gridPos[i + 1];
+      pairs.push({
+        index: i,
+        result: this._logical[list[i].owner].result,
+        ...this._project({ x: (a.x + b.x) / 2, y: Math.min(a.y, b.y) - 1.45 }),
+      });
+    });
+    this._emit('overlay', { dice: this._logical, positions, pairs });
+  }
+
+  /** Move the dice into a new layout without rolling them */
+  _relayout() {
+    const s = this._s;
+    const layout = computeLayout(this._logical, this.options.layout);
+    s.reflow = null;
+    s.gridPos = layout.positions;
+    s.meshes.forEach((m, i) => m.position.set(layout.positions[i].x, layout.positions[i].y, 0));
+    s.layout = { halfWidth: layout.halfWidth, halfHeight: layout.halfHeight };
+    this._fitCamera();
+    this._emitOverlay();
+  }
+
+  /** Size the camera so the whole layout fits the mount element */
+  _fitCamera() {
+    const s = this._s;
+    const el = this._el;
+    const w = el.clientWidth;
+    const h = el.clientHeight;
+    const asp = w / Math.max(h, 1);
+    if (s.layout) {
+      const margin = 1.5;
+      const needY = s.layout.halfHeight + margin;
+      const needX = (s.layout.halfWidth + margin) / asp;
+      s.frustumHalf = Math.max(needY, needX, 2.5);
+    }
+    const fh = s.frustumHalf;
+    s.view = { halfWidth: fh * asp, halfHeight: fh };
+    const camera = s.camera;
+    if (s.tray) {
+      // Back far enough to see the area the orthographic camera would, leaning back a little
+      const dist = (fh / Math.tan(THREE.MathUtils.degToRad(TRAY_FOV / 2))) * TRAY_FIT;
+      camera.aspect = asp;
+      camera.position.set(0, -Math.sin(TRAY_TILT) * dist, Math.cos(TRAY_TILT) * dist);
+      camera.lookAt(0, 0, 0);
+      camera.far = dist * 4;
+      placeTray(s.stage, s.view);
+      const shadow = s.keyLight.shadow.camera;
+      const r = Math.max(s.view.halfWidth, s.view.halfHeight) + 2;
+      shadow.left = -r;
+      shadow.right = r;
+      shadow.top = r;
+      shadow.bottom = -r;
+      shadow.updateProjectionMatrix();
+    } else {
+      camera.left = -fh * asp;
+      camera.right = fh * asp;
+      camera.top = fh;
+      camera.bottom = -fh;
+    }
+    camera.updateProjectionMatrix();
+  }
+
+  /** Camera, key light and table for the current presentation (floating dice or tray) */
+  _stage() {
+    const s = this._s;
+    if (s.stage) disposeTray(s.stage);
+    const tray = trayOptions(this.options.tray);
+    s.tray = tray;
+    s.stage = tray ? buildTray(tray) : null;
+    if (s.stage) s.scene.add(s.stage.group);
+    if (tray) {
+      s.camera = new THREE.PerspectiveCamera(TRAY_FOV, 1, 0.1, 100);
+      s.keyLight.position.set(4, 6, 14);
+    } else {
+      s.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 100);
+      s.camera.position.set(0, 0, 10);
+      s.keyLight.position.set(5, 8, 5);
+    }
+    s.keyLight.castShadow = !!(tray && tray.shadows);
+    if (this._view) this._view.camera = s.camera;
+    this._castShadows();
+  }
+
+  _castShadows() {
+    const s = this._s;
+    const cast = !!(s.tray && s.tray.shadows);
+    (s.pool ? s.pool.bodies : s.meshes).forEach(m => { m.castShadow = cast; });
+  }
+
+  /** Render into `element` (sized by its CSS) and start the render loop */
+  mount(element) {
+    const s = this._s;
+    if (s.scene) throw new Error('DiceScene is already mounted');
+    const el = element;
+    this._el = el;
+
+    const scene = new THREE.Scene();
+    // With a shared DiceRenderer the dice are drawn over `el` and it takes the pointer events
+    let renderer = null;
+    if (!this._shared) {
+      renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+      renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+      renderer.setSize(el.clientWidth, el.clientHeight);
+      renderer.setClearColor(0x000000, 0);
+      renderer.shadowMap.enabled = true;
+      renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+      el.appendChild(renderer.domElement);
+    }
+    const target = renderer ? renderer.domElement : el;
+    target.style.touchAction = this.options.throwable ? 'none' : '';
+    this._target = target;
+
+    scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+    const kl = new THREE.DirectionalLight(0xffffff, 1.0);
+    kl.shadow.mapSize.set(2048, 2048);
+    kl.shadow.camera.far = 60;
+    kl.shadow.bias = -0.0005;
+    scene.add(kl);
+    const fl = new THREE.DirectionalLight(0xffffff, 0.3);
+    fl.position.set(-3, -2, 4);
+    scene.add(fl);
+
+    s.scene = scene;
+    s.keyLight = kl;
+    s.renderer = renderer;
+    this._stage();
+    this._fitCamera();
+
+    // --- Reduced motion ---
+    if (typeof window !== 'undefined' && window.matchMedia) {
+      const mq = window.matchMedia(REDUCED_MOTION_QUERY);
+      const onChange = () => { this._prefersReduced = mq.matches; };
+      onChange();
+      if (mq.addEventListener) mq.addEventListener('change', onChange);
+      else mq.addListener(onChange);
+      this._unwatchMotion = () => {
+        if (mq.removeEventListener) mq.removeEventListener('change', onChange);
+        else mq.removeListener(onChange);
+      };
+    }
+
+    // --- Picking ---
+    const raycaster = new THREE.Raycaster();
+    raycaster.params.Line.threshold = 0;
+    const pointer = new THREE.Vector2();
+
+    /** Aim the raycaster through a pointer event; false if the target has no size */
+    const aim = ev => {
+      const rect = target.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return false;
+      pointer.set(
+        ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+        -((ev.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, s.camera);
+      return true;
+    };
+
+    /** Logical die index under a pointer event, or -1 */
+    const pick = ev => {
+      if (!aim(ev)) return -1;
+      const hit = raycaster.intersectObjects(s.pool ? [s.pool.group] : s.meshes, true)[0];
+      if (!hit) return -1;
+      let i;
+      if (s.pool) {
+        i = s.pool.indexOf(hit);
+      } else {
+        let obj = hit.object;
+        while (obj && !s.meshes.includes(obj)) obj = obj.parent;
+        i = s.meshes.indexOf(obj);
+      }
+      return i >= 0 && this._phys[i] ? this._phys[i].owner : -1;
+    };
+
+    const setHovered = index => {
+      if (index === s.hovered) return;
+      s.hovered = index;
+      refreshHighlights(s, this._phys, this._held);
+      target.style.cursor = index >= 0 && this._has('dieclick') ? 'pointer' : '';
+      this._emit('diehover', index >= 0 ? this._dieEvent(index) : null);
+    };
+
+    // --- Drag to throw ---
+    // Pointer position on the table plane (z = 0)
+    const floor = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+    const hitPoint = new THREE.Vector3();
+    const toWorld = ev => {
+      if (!aim(ev) || !raycaster.ray.intersectPlane(floor, hitPoint)) return { x: 0, y: 0 };
+      return { x: hitPoint.x, y: hitPoint.y };
+    };
+
+    const onPointerDown = ev => {
+      // A release that sent no click (touch, or let go outside the canvas) mustn't swallow this one
+      s.releasedAt = null;
+      if (!this.options.throwable || this._isRolling() || s.meshes.length === 0) return;
+      if (s.phase === 'dragging' || s.phase === 'awaiting' || s.phase === 'tumbling') return;
+      s.drag = { id: ev.pointerId, startX: ev.clientX, startY: ev.clientY, active: false, samples: [], offsets: [] };
+    };
+
+    const startDrag = ev => {
+      const drag = s.drag;
+      drag.active = true;
+      target.setPointerCapture(ev.pointerId);
+      // Keep the dice's relative layout, squeezed into a handful
+      const cx = s.gridPos.reduce((a, p) => a + p.x, 0) / s.gridPos.length;
+      const cy = s.gridPos.reduce((a, p) => a + p.y, 0) / s.gridPos.length;
+      drag.offsets = s.gridPos.map(p => ({ x: (p.x - cx) * 0.4, y: (p.y - cy) * 0.4 }));
+      s.tumble = null;
+      s.phase = 'dragging';
+      this._beginRoll();
+      this._syncBusy();
+    };
+
+    const release = ev => {
+      const drag = s.drag;
+      s.drag = null;
+      // Release velocity over the last few samples, in world units per second
+      const now = ev.timeStamp;
+      const recent = drag.samples.filter(p => now - p.t <= THROW_SAMPLE_MS);
+      const first = recent[0] || drag.samples[drag.samples.length - 1];
+      const last = toWorld(ev);
+      const dt = first ? Math.max((now - first.t) / 1000, 1e-3) : 1;
+      const vx = first ? (last.x - first.x) / dt : 0;
+      const vy = first ? (last.y - first.y) / dt : 0;
+      const gesture = throwOptions(vx, vy);
+
+      // Throw from where the dice are now
+      s.gridPos = s.meshes.map(m => ({ x: m.position.x, y: m.position.y }));
+      s.phase = 'awaiting';
+      startSpin(s);
+      const id = ++s.throwId;
+      const onThrow = this.options.onThrow;
+      let answer;
+      try {
+        answer = onThrow ? onThrow({ velocity: { x: vx, y: vy }, speed: Math.hypot(vx, vy) }) : undefined;
+      } catch (e) {
+        // Thrown like a rejected promise: the dice land on the current results
+        answer = undefined;
+      }
+      const launch = results => {
+        if (id !== s.throwId || s.phase !== 'awaiting') return;
+        if (Array.isArray(results)) {
+          // The answer becomes the results, as with settle(results), so events and logs match the landing
+          this._override = this._logical.map((d, i) => (results[i] != null ? results[i] : d.result));
+          const { phys } = this._resolveDice();
+          if (this._applied) this._applied.valuesKey = valuesKeyOf(phys);
+        }
+        startTumble(s, this._phys, this.options.physics, this._held, gesture);
+        this._emitPlanned();
+      };
+      if (answer && typeof answer.then === 'function') {
+        answer.then(launch, () => launch());
+      } else {
+        launch(answer);
+      }
+    };
+
+    const onPointerUp = ev => {
+      if (!s.drag || ev.pointerId !== s.drag.id) return;
+      if (s.drag.active) {
+        s.releasedAt = ev.timeStamp;
+        release(ev);
+      } else {
+        s.drag = null;
+      }
+    };
+
+    const onPointerMove = ev => {
+      if (s.drag && ev.pointerId === s.drag.id) {
+        if (!s.drag.active && Math.hypot(ev.clientX - s.drag.startX, ev.clientY - s.drag.startY) > THROW_DRAG_PX) {
+          startDrag(ev);
+        }
+        if (s.drag.active) {
+          s.dragPoint = toWorld(ev);
+          s.drag.samples.push({ ...s.dragPoint, t: ev.timeStamp });
+          if (s.drag.samples.length > 20) s.drag.samples.shift();
+          return;
+        }
+      }
+      if (!this._has('dieclick') && !this._has('diehover')) return;
+      setHovered(pick(ev));
+    };
+    const onPointerLeave = () => setHovered(-1);
+    const onClick = ev => {
+      // The click that ends a throw isn't a die click
+      const released = s.releasedAt;
+      s.releasedAt = null;
+      if (released != null && ev.timeStamp - released < THROW_CLICK_MS) return;
+      const index = pick(ev);
+      if (index >= 0) this._emit('dieclick', this._dieEvent(index));
+    };
+
+    // --- Keyboard selection: arrows move focus between dice, Enter/Space clicks ---
+    const onKeyDown = ev => {
+      const count = this._logical.length;
+      if (!this._has('dieclick') || count === 0) return;
+      let next = s.focused;
+      if (ev.key === 'ArrowRight' || ev.key === 'ArrowDown') next = s.focused < 0 ? 0 : (s.focused + 1) % count;
+      else if (ev.key === 'ArrowLeft' || ev.key === 'ArrowUp') next = s.focused < 0 ? count - 1 : (s.focused - 1 + count) % count;
+      else if (ev.key === 'Home') next = 0;
+      else if (ev.key === 'End') next = count - 1;
+      else if ((ev.key === 'Enter' || ev.key === ' ') && s.focused >= 0) {
+        ev.preventDefault();
+        this._emit('dieclick', this._dieEvent(s.focused));
+        return;
+      } else {
+        return;
+      }
+      ev.preventDefault();
+      s.focused = next;
+      refreshHighlights(s, this._phys, this._held);
+      const focusEvent = this._dieEvent(next);
+      this._emit('diefocus', focusEvent);
+      this._emit('diehover', focusEvent);
+    };
+    const onFocusOut = () => {
+      if (s.focused < 0) return;
+      s.focused = -1;
+      refreshHighlights(s, this._phys, this._held);
+    };
+
+    target.addEventListener('pointerdown', onPointerDown);
+    target.addEventListener('pointermove', onPointerMove);
+    target.addEventListener('pointerup', onPointerUp);
+    target.addEventListener('pointercancel', onPointerUp);
+    target.addEventListener('pointerleave', onPointerLeave);
+    target.addEventListener('click', onClick);
+    el.addEventListener('keydown', onKeyDown);
+    el.addEventListener('focusout', onFocusOut);
+    this._syncFocusable();
+
+    const ro = new ResizeObserver(() => {
+      const w = el.clientWidth;
+      const h = el.clientHeight;
+      if (w === 0 || h === 0) return;
+      this._fitCamera();
+      if (renderer) renderer.setSize(w, h);
+      if (s.meshes.length > 0) this._emitOverlay();
+    });
+    ro.observe(el);
+
+    if (renderer) {
+      const loop = (time) => {
+        s.animId = requestAnimationFrame(loop);
+        this._frame(time);
+        renderer.render(scene, s.camera);
+      };
+      s.animId = requestAnimationFrame(loop);
+    } else {
+      this._view = { element: el, scene, camera: s.camera, frame: time => this._frame(time) };
+      this._detach = this._shared.attach(this._view);
+    }
+
+    this._unmount = () => {
+      ro.disconnect();
+      target.removeEventListener('pointerdown', onPointerDown);
+      target.removeEventListener('pointermove', onPointerMove);
+      target.removeEventListener('pointerup', onPointerUp);
+      target.removeEventListener('pointercancel', onPointerUp);
+      target.removeEventListener('pointerleave', onPointerLeave);
+      target.removeEventListener('click', onClick);
+      el.removeEventListener('keydown', onKeyDown);
+      el.removeEventListener('focusout', onFocusOut);
+    };
+
+    this._applied = null;
+    this._apply();
+    return this;
+  }
+
+  /** Advance the animation one frame (drawing is up to the caller) */
+  _frame(time) {
+    const s = this._s;
+    const t = time / 1000;
+    const meshes = s.meshes;
+    const mode = this._mode();
+    const held = this._held;
+
+    if (s.reflow && (s.phase === 'dragging' || s.phase === 'tumbling')) s.reflow = null;
+    if (s.reflow) {
+      // Kept dice glide to their new places and the camera follows the area
+      const r = s.reflow;
+      const p = Math.min(Math.max((time - r.start) / 1000 / REFLOW_SECS, 0), 1);
+      const e = 1 - Math.pow(1 - p, 3);
+      const lerp = (a, b) => a + (b - a) * e;
+      s.gridPos = r.to.map((to, i) => ({ x: lerp(r.from[i].x, to.x), y: lerp(r.from[i].y, to.y) }));
+      meshes.forEach((m, i) => m.position.set(s.gridPos[i].x, s.gridPos[i].y, m.position.z));
+      s.layout = {
+        halfWidth: lerp(r.fromArea.halfWidth, r.toArea.halfWidth),
+        halfHeight: lerp(r.fromArea.halfHeight, r.toArea.halfHeight),
+      };
+      this._fitCamera();
+      this._emitOverlay();
+      if (p >= 1) s.reflow = null;
+    }
+
+    if (s.phase === 'dragging') {
+      // Dice huddle under the pointer, tumbling in the hand
+      const list = this._phys;
+      meshes.forEach((m, i) => {
+        if (list[i] && held.has(list[i].owner)) return;
+        const off = s.drag.offsets[i];
+        m.position.x += (s.dragPoint.x + off.x - m.position.x) * 0.25;
+        m.position.y += (s.dragPoint.y + off.y - m.position.y) * 0.25;
+        m.rotation.x += (6 + i) * 0.016;
+        m.rotation.y += (5 + i * 0.5) * 0.016;
+      });
+    } else if ((s.phase === 'spinning' || s.phase === 'awaiting') && (mode !== 'none' || s.replay)) {
+      const spd = spinSpeed(mode);
+      const list = this._phys;
+      const spinHeld = s.replay ? s.replay.held : held;
+      // Turn by the time since the spin started, so a replay passes through the same poses
+      const end = s.replay && s.phase === 'spinning' ? s.replay.log.spin / 1000 : Infinity;
+      const elapsed = s.replay && (s.instant || mode === 'none') ? end : Math.min((time - s.spinStart) / 1000, end);
+      meshes.forEach((m, i) => {
+        const from = s.spinFrom[i];
+        if (!from || (list[i] && spinHeld.has(list[i].owner))) return;
+        spinRotation(m.rotation, from, i, spd, elapsed);
+      });
+      if (elapsed >= end) this._replayLanding(s.spinStart + end * 1000);
+    } else if (s.phase === 'settling') {
+      const elapsed = (time - s.settleStart) / 1000;
+      const p = s.instant ? 1 : Math.min(elapsed / SETTLE_SECS, 1);
+      const e = 1 - Math.pow(1 - p, 3);
+      meshes.forEach((m, i) => {
+        const d = s.settleData[i];
+        if (d) m.quaternion.slerpQuaternions(d.from, d.to, e);
+      });
+      if (p >= 1) {
+        s.phase = 'idle';
+        s.instant = false;
+        meshes.forEach((m, i) => this._markSettled(i));
+      }
+    } else if (s.phase === 'tumbling') {
+      const speed = mode === 'quick' ? 1.5 : 1;
+      // Reduced motion (or mode 'none') jumps straight to where the dice land
+      const elapsed = mode === 'none' || s.instant ? Infinity : (time - s.tumbleStart) / 1000 * speed;
+      let done = true;
+      const landed = [];
+      meshes.forEach((m, i) => {
+        const tr = s.tumble.tracks[i];
+        if (tr && !sampleTrack(s.tumble, tr, elapsed, m.position, m.quaternion)) done = false;
+        else landed.push(i);
+      });
+      if (done) {
+        // Dice stay where they landed; labeled dice idle around their landed pose.
+        // On the table, `lift` keeps a die that landed on another one up there
+        const geometryOf = i => (s.pool ? s.pool.geometryOf(i) : meshes[i].geometry);
+        s.gridPos = meshes.map((m, i) => ({
+          x: m.position.x,
+          y: m.position.y,
+          lift: s.tray ? Math.max(0, m.position.z - restHeight(geometryOf(i), m.quaternion, m.scale.x)) : 0,
+        }));
+        s.settleData = meshes.map(m => (
+          isFaceLabeled(m.userData.sides) ? { from: m.quaternion.clone(), to: m.quaternion.clone() } : null
+        ));
+        s.tumble = null;
+        s.phase = 'idle';
+        s.instant = false;
+        this._emitOverlay();
+      }
+      landed.forEach(i => this._markSettled(i));
+    } else if (s.phase === 'idle' && meshes.length > 0 && !this._reduced()) {
+      meshes.forEach((m, i) => {
+        // Dice lying on the table stay still; only the glow pulses
+        if (!s.tray) {
+          if (isFaceLabeled(m.userData.sides) && s.settleData[i]) {
+            const w = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+              Math.sin(t * 0.8 + i) * 0.03,
+              Math.sin(t * 0.6 + i * 0.5) * 0.05,
+              0
+            ));
+            m.quaternion.copy(s.settleData[i].to).multiply(w);
+          } else {
+            m.rotation.x += 0.004;
+            m.rotation.y += 0.006;
+          }
+          if (s.gridPos[i]) {
+            m.position.y = s.gridPos[i].y + Math.sin(t * 1.2 + i * 0.7) * 0.06;
+          }
+        }
+        if (m.userData.glow && m.userData.glow.visible) {
+          m.userData.glow.material.opacity = 0.45 + Math.sin(t * 3 + i) * 0.15;
+        }
+      });
+    }
+
+    if (s.pop) {
+      // New dice pop in, overshooting a little (ease-out back)
+      const p = Math.min((time - s.pop.start) / 1000 / POP_SECS, 1);
+      const e = 1 + 2.70158 * Math.pow(p - 1, 3) + 1.70158 * Math.pow(p - 1, 2);
+      const list = this._phys;
+      s.pop.dice.forEach(i => {
+        const base = list[i] && held.has(list[i].owner) ? HOLD_SCALE : 1;
+        if (meshes[i]) meshes[i].scale.setScalar(base * Math.max(e, POP_MIN_SCALE));
+      });
+      if (p >= 1) s.pop = null;
+    }
+
+    if (s.tray && (s.phase === 'idle' || s.phase === 'settling' || s.phase === 'spinning')) {
+      // On the table the dice rest on their lowest point, whatever their rotation
+      meshes.forEach((m, i) => {
+        const lift = s.gridPos[i] && s.gridPos[i].lift ? s.gridPos[i].lift : 0;
+        m.position.z = restHeight(s.pool ? s.pool.geometryOf(i) : m.geometry, m.quaternion, m.scale.x) + lift;
+      });
+    }
+    if (s.pool) s.pool.update();
+    this._syncBusy();
+  }
+
+  /** Keyboard selection is on while someone listens for dieclick */
+  _syncFocusable() {
+    if (!this._el) return;
+    if (this._has('dieclick')) this._el.tabIndex = 0;
+    else this._el.removeAttribute('tabindex');
+  }
+
+  // --- Build meshes when the dice config changes (or a re-throw is triggered) ---
+  _build() {
+    const s = this._s;
+    const held = this._held;
+
+    // Held dice keep their pose when the same dice are rebuilt for a new roll
+    const prevPoses = s.meshes.map((m, i) => ({
+      sides: m.userData.sides,
+      quaternion: m.quaternion.clone(),
+      gridPos: s.gridPos[i],
+      rest: s.settleData[i] ? s.settleData[i].to : null,
+    }));
+
+    this._disposeMeshes();
+    s.gridPos = [];
+    s.built = [];
+    s.reflow = null;
+    s.pop = null;
+    s.settleData = [];
+    s.tumble = null;
+    s.phase = 'idle';
+    s.rollActive = false;
+    s.drag = null;
+    s.layout = null;
+    s.marks = s.marks.map((mark, i) => (held.has(i) ? mark : null));
+    s.record = null;
+    s.replay = null;
+    const replay = this._pendingReplay;
+    const plan = this._pendingPlan;
+    this._pendingReplay = null;
+    this._pendingPlan = null;
+    // A planned roll draws its start rotations from its seed
+    const rand = plan ? createRng(plan.seed) : Math.random;
+
+    const list = this._phys;
+    const count = list.length;
+    if (count === 0) {
+      this._emitOverlay();
+      s.settleWaiters.splice(0).forEach(resolve => resolve([]));
+      return;
+    }
+
+    const layout = computeLayout(this._logical, this.options.layout);
+    const pool = this._instanced() ? new DicePool(list) : null;
+    if (pool) s.scene.add(pool.group);
+    s.pool = pool;
+    for (let i = 0; i < count; i++) {
+      const d = list[i];
+      const mesh = pool ? pool.dice[i] : dieMesh(d);
+      const prev = prevPoses[i];
+      const keep = prev && prev.sides === mesh.userData.sides && held.has(d.owner);
+      const { x, y } = keep && prev.gridPos ? prev.gridPos : layout.positions[i];
+
+      mesh.position.set(x, y, 0);
+      if (keep) {
+        mesh.quaternion.copy(prev.rest || prev.quaternion);
+      } else {
+        mesh.rotation.set(rand() * Math.PI * 2, rand() * Math.PI * 2, rand() * Math.PI * 2);
+      }
+      if (!pool) s.scene.add(mesh);
+      s.meshes.push(mesh);
+      s.gridPos.push({ x, y });
+    }
+    s.built = this._builtEntries();
+    refreshHighlights(s, list, held);
+    this._castShadows();
+
+    s.layout = { halfWidth: layout.halfWidth, halfHeight: layout.halfHeight };
+    this._fitCamera();
+    this._emitOverlay();
+
+    if (replay) {
+      this._startReplay(replay);
+      return;
+    }
+    if (plan && !this._isRolling()) {
+      const log = this._planRoll(rand, plan.duration);
+      const record = this._s.record;
+      this._emitPlanned();
+      this._startReplay(log, record);
+      return;
+    }
+    const rolling = this._isRolling();
+    const physics = this.options.physics;
+    if (!rolling && physics && this._mode() !== 'none') {
+      this._beginRoll();
+      startTumble(s, list, physics, held);
+      this._emitPlanned();
+    } else if (!rolling && list.some(d => isFaceLabeled(d.sides))) {
+      this._beginRoll();
+      s.phase = 'settling';
+      s.settleStart = performance.now();
+      s.settleData = s.meshes.map((m, i) => {
+        if (!isFaceLabeled(list[i].sides)) return null;
+        if (held.has(list[i].owner)) return { from: m.quaternion.clone(), to: m.quaternion.clone() };
+        return {
+          from: m.quaternion.clone(),
+          to: settleQuat(m, list[i].result, list[i].sides) || new THREE.Quaternion(),
+        };
+      });
+      recordSettle(s);
+      this._emitPlanned();
+    } else if (!rolling) {
+      // Nothing to animate (overlay-numbered dice): they are at rest already
+      this._beginRoll();
+      this._emitPlanned();
+      s.meshes.forEach((m, i) => this._markSettled(i));
+    }
+  }
+
+  /** What each mesh shows, for the next keyed update to compare against */
+  _builtEntries() {
+    return this._phys.map((d, i) => ({
+      key: this._keys ? this._keys[i] : null,
+      config: dieConfigKey(d),
+      result: d.result,
+      owner: d.owner,
+    }));
+  }
+
+  /**
+   * Keyed dice change: keep the meshes of dice whose key and look are the
+   * same, dispose the ones that went and build the ones that came. Kept dice
+   * keep their pose and glide to the new layout while new ones pop in; then
+   * the new dice (and kept ones showing a new result) land as a roll of their
+   * own. With physics they are thrown in among the dice at rest, which stay
+   * where they landed. While spinning, new dice just join the spin.
+   */
+  _reconcile() {
+    const s = this._s;
+    const list = this._phys;
+    const held = this._held;
+    const now = performance.now();
+    const animate = this._mode() !== 'none';
+    const rolling = this._isRolling();
+    const physics = !rolling && animate && this.options.physics;
+    const old = {
+      meshes: s.meshes, pool: s.pool, gridPos: s.gridPos, settleData: s.settleData, spinFrom: s.spinFrom,
+      built: s.built, settled: s.settled, marks: s.marks, atRest: !s.rollActive,
+    };
+
+    // The mesh each die keeps (-1 for a new die), and whether it stays as it is
+    const byKey = new Map(old.built.map((b, j) => [b.key, j]));
+    const from = list.map((d, i) => {
+      const j = byKey.get(this._keys[i]);
+      return j != null && old.built[j].config === dieConfigKey(d) ? j : -1;
+    });
+    const still = list.map((d, i) => from[i] >= 0 && old.built[from[i]].result === d.result);
+
+    const pool = this._instanced() ? new DicePool(list) : null;
+    const reuse = !pool && !old.pool;
+    const kept = new Set();
+    s.meshes = list.map((d, i) => {
+      const j = from[i];
+      if (reuse && j >= 0) {
+        kept.add(j);
+        return old.meshes[j];
+      }
+      const mesh = pool ? pool.dice[i] : dieMesh(d);
+      if (j >= 0) {
+        mesh.position.copy(old.meshes[j].position);
+        mesh.quaternion.copy(old.meshes[j].quaternion);
+      } else {
+        mesh.rotation.set(Math.random() * Math.PI * 2, Math.random() * Math.PI * 2, Math.random() * Math.PI * 2);
+      }
+      if (!pool) s.scene.add(mesh);
+      return mesh;
+    });
+    if (old.pool) old.pool.dispose();
+    else old.meshes.forEach((m, j) => { if (!kept.has(j)) disposeMesh(s.scene, m); });
+    if (pool) s.scene.add(pool.group);
+    s.pool = pool;
+
+    // New places: after a physics throw the dice at rest stay where they landed
+    const layout = computeLayout(this._logical, this.options.layout);
+    const start = list.map((d, i) => (from[i] >= 0 && old.gridPos[from[i]] ? { ...old.gridPos[from[i]] } : null));
+    s.gridPos = list.map((d, i) => (physics && start[i] ? { ...start[i] } : { ...layout.positions[i] }));
+    s.meshes.forEach((m, i) => { if (!start[i]) m.position.set(s.gridPos[i].x, s.gridPos[i].y, 0); });
+    const area = { halfWidth: layout.halfWidth, halfHeight: layout.halfHeight };
+    s.reflow = animate && !physics && s.layout ? {
+      start: now,
+      from: s.gridPos.map((gp, i) => start[i] || gp),
+      to: s.gridPos.map(gp => ({ ...gp })),
+      fromArea: { ...s.layout },
+      toArea: area,
+    } : null;
+    s.layout = area;
+    this._fitCamera();
+    const born = list.map((d, i) => i).filter(i => from[i] < 0);
+    s.pop = animate && !physics && born.length > 0 ? { start: now, dice: born } : null;
+
+    // Spin, settle and annotation state follows the dice; dice that land again lose their mark
+    s.settleData = list.map((d, i) => (from[i] >= 0 ? old.settleData[from[i]] || null : null));
+    s.spinFrom = list.map((d, i) => (from[i] >= 0 && old.spinFrom[from[i]]) || s.meshes[i].rotation.clone());
+    s.built = this._builtEntries();
+    const landing = new Set(list.filter((d, i) => !still[i]).map(d => d.owner));
+    const marks = this._logical.map(() => null);
+    list.forEach((d, i) => {
+      if (still[i] && !landing.has(d.owner)) marks[d.owner] = old.marks[old.built[from[i]].owner] || null;
+    });
+    const settled = list.map((d, i) => still[i] && (old.atRest || !!old.settled[from[i]]));
+
+    if (rolling) {
+      if (!s.rollActive) this._beginRoll();
+      s.marks = marks;
+    } else if (old.atRest && settled.every(Boolean)) {
+      // Dice only went away or moved: nothing lands
+      s.marks = marks;
+    } else {
+      this._beginRoll();
+      s.settled = settled;
+      s.marks = marks;
+      if (physics) {
+        // Dice that stay put are obstacles, like held dice
+        const fixed = new Set(list.filter(d => !landing.has(d.owner)).map(d => d.owner));
+        playTumble(s, ...tumbleInputs(s, list, this.options.physics, fixed, null));
+      } else {
+        s.phase = 'settling';
+        s.settleStart = now;
+        s.settleData = s.meshes.map((m, i) => {
+          const d = list[i];
+          if (still[i]) return s.settleData[i] && { from: m.quaternion.clone(), to: s.settleData[i].to };
+          if (!isFaceLabeled(d.sides)) return null;
+          return { from: m.quaternion.clone(), to: settleQuat(m, d.result, d.sides) || new THREE.Quaternion() };
+        });
+        recordSettle(s);
+      }
+      this._emitPlanned();
+    }
+    refreshHighlights(s, list, held);
+    this._castShadows();
+    this._emitOverlay();
+  }
+
+  // --- Rolling state transitions: spin while rolling, then settle or throw ---
+  _transition() {
+    const s = this._s;
+    const list = this._phys;
+    const held = this._held;
+    const physics = this.options.physics;
+    // A replay plays out as logged unless the dice are spun again
+    if (s.replay && !this._isRolling()) return;
+    if (this._isRolling()) {
+      s.replay = null;
+      if (s.phase !== 'spinning') startSpin(s);
+      s.phase = 'spinning';
+      // Held dice keep their resting pose through the spin
+      s.settleData = s.settleData.map((d, i) => (list[i] && held.has(list[i].owner) ? d : null));
+      if (list.length > 0) this._beginRoll();
+    } else if (s.phase === 'spinning' && list.length > 0 && physics && this._mode() !== 'none') {
+      startTumble(s, list, physics, held);
+      this._emitPlanned();
+    } else if (s.phase === 'spinning' && list.length > 0) {
+      recordSpin(s);
+      s.phase = 'settling';
+      s.settleStart = performance.now();
+      s.settleData = s.meshes.map((m, i) => {
+        const from = m.quaternion.clone();
+        const d = list[i];
+        if (d && held.has(d.owner)) return { from, to: s.settleData[i] ? s.settleData[i].to : from.clone() };
+        return { from, to: settleTarget(m, d, Math.random) };
+      });
+      recordSettle(s);
+      this._emitPlanned();
+    }
+  }
+
+  /** Stop rendering, release GPU resources and remove the canvas */
+  dispose() {
+    const s = this._s;
+    if (!s.scene) return;
+    if (this._unmount) this._unmount();
+    if (this._unwatchMotion) this._unwatchMotion();
+    this._unmount = null;
+    this._unwatchMotion = null;
+    if (s.animId) cancelAnimationFrame(s.animId);
+    // A roll cut short resolves with the results it was landing on
+    const results = this._logical.map(d => d.result);
+    s.settleWaiters.splice(0).forEach(resolve => resolve(results));
+    s.rollActive = false;
+    if (this._detach) this._detach();
+    this._disposeMeshes();
+    if (s.stage) disposeTray(s.stage);
+    const el = this._el;
+    if (s.renderer) {
+      s.renderer.dispose();
+      if (s.renderer.domElement.parentNode === el) el.removeChild(s.renderer.domElement);
+    } else {
+      el.style.touchAction = '';
+      el.style.cursor = '';
+    }
+    if (el && this._has('dieclick')) el.removeAttribute('tabindex');
+    s.scene = null; s.camera = null; s.renderer = null; s.stage = null;
+    s.meshes = []; s.gridPos = []; s.animId = null;
+    this._el = null;
+    this._target = null;
+    this._view = null;
+    this._detach = null;
+    this._applied = null;
+    this._listeners = {};
+  }
+}
@@ -0,0 +1,60 @@
+// --- Result annotations: crits, fumbles, dropped dice and the total badge ---
+
+/** Default rules: a natural 20 / natural 1 on a d20, and dice marked `dropped` (keep / drop notation) */
+export const DEFAULT_ANNOTATIONS = {
+  crit: d => d.sides === 20 && d.result === 20,
+  fumble: d => d.sides === 20 && d.result === 1,
+  dropped: d => !!d.dropped,
+};
+
+/**
+ * Resolve the `annotations` option: false/undefined (off), true (the default
+ * rules) or { crit, fumble, dropped, total, modifier }, where each rule is
+ * (die, index, dice) => boolean and missing rules use the defaults (false
+ * turns one off). Returns null when off.
+ */
+export function annotationRules(annotations) {
+  if (!annotations) return null;
+  const spec = typeof annotations === 'object' ? annotations : {};
+  const rule = key => (spec[key] === false ? null : spec[key] || DEFAULT_ANNOTATIONS[key]);
+  return {
+    crit: rule('crit'),
+    fumble: rule('fumble'),
+    dropped: rule('dropped'),
+    total: spec.total || false,
+    modifier: spec.modifier || 0,
+  };
+}
+
+/**
+ * Mark for each logical die: 'dropped', 'crit', 'fumble' or null. A dropped
+ * die doesn't count, so it is never a crit or fumble.
+ */
+export function annotateDice(dice, annotations) {
+  const rules = annotationRules(annotations);
+  return dice.map((d, i) => {
+    if (!rules) return null;
+    if (rules.dropped && rules.dropped(d, i, dice)) return 'dropped';
+    if (rules.crit && rules.crit(d, i, dice)) return 'crit';
+    if (rules.fumble && rules.fumble(d, i, dice)) return 'fumble';
+    return null;
+  });
+}
+
+/**
+ * The total badge for `annotations.total`: true sums the numeric results of
+ * the dice that aren't dropped, plus `modifier`; a function
+ * (dice, marks) => number | string replaces the sum. Returns
+ * { value, modifier } (modifier is 0 for a function) or null without a badge.
+ */
+export function rollTotal(dice, annotations) {
+  const rules = annotationRules(annotations);
+  if (!rules || !rules.total || dice.length === 0) return null;
+  const marks = annotateDice(dice, annotations);
+  if (typeof rules.total === 'function') {
+    const value = rules.total(dice, marks);
+    return value == null || value === '' ? null : { value, modifier: 0 };
+  }
+  const sum = dice.reduce((a, d, i) => (marks[i] === 'dropped' || typeof d.result !== 'number' ? a : a + d.result), 0);
+  return { value: sum + rules.modifier, modifier: rules.modifier };
+}
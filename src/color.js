@@ -0,0 +1,229 @@
+// --- CSS color parsing ---
+//
+// Accepted forms (case-insensitive):
+//   number         0x3b82f6
+//   hex            #rgb, #rgba, #rrggbb, #rrggbbaa
+//   functions      rgb()/rgba(), hsl()/hsla(), hwb(), oklch(), comma or space syntax with `/ alpha`
+//   named colors   all CSS named colors, plus `transparent`
+//   Tailwind       bg-blue-500, text-rose-700/50, blue-500, bg-white, ring-offset-sky-300 (v3 palette, any utility prefix)
+//   CSS variables  var(--die-color, fallback), read from the document root
+
+/** CSS Color Module Level 4 named colors */
+const NAMED_COLORS = {
+  aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4,
+  azure: 0xf0ffff, beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000, blanchedalmond: 0xffebcd,
+  blue: 0x0000ff, blueviolet: 0x8a2be2, brown: 0xa52a2a, burlywood: 0xdeb887, cadetblue: 0x5f9ea0,
+  chartreuse: 0x7fff00, chocolate: 0xd2691e, coral: 0xff7f50, cornflowerblue: 0x6495ed,
+  cornsilk: 0xfff8dc, crimson: 0xdc143c, cyan: 0x00ffff, darkblue: 0x00008b, darkcyan: 0x008b8b,
+  darkgoldenrod: 0xb8860b, darkgray: 0xa9a9a9, darkgreen: 0x006400, darkgrey: 0xa9a9a9,
+  darkkhaki: 0xbdb76b, darkmagenta: 0x8b008b, darkolivegreen: 0x556b2f, darkorange: 0xff8c00,
+  darkorchid: 0x9932cc, darkred: 0x8b0000, darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f,
+  darkslateblue: 0x483d8b, darkslategray: 0x2f4f4f, darkslategrey: 0x2f4f4f,
+  darkturquoise: 0x00ced1, darkviolet: 0x9400d3, deeppink: 0xff1493, deepskyblue: 0x00bfff,
+  dimgray: 0x696969, dimgrey: 0x696969, dodgerblue: 0x1e90ff, firebrick: 0xb22222,
+  floralwhite: 0xfffaf0, forestgreen: 0x228b22, fuchsia: 0xff00ff, gainsboro: 0xdcdcdc,
+  ghostwhite: 0xf8f8ff, gold: 0xffd700, goldenrod: 0xdaa520, gray: 0x808080, green: 0x008000,
+  greenyellow: 0xadff2f, grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4,
+  indianred: 0xcd5c5c, indigo: 0x4b0082, ivory: 0xfffff0, khaki: 0xf0e68c, lavender: 0xe6e6fa,
+  lavenderblush: 0xfff0f5, lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd, lightblue: 0xadd8e6,
+  lightcoral: 0xf08080, lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2, lightgray: 0xd3d3d3,
+  lightgreen: 0x90ee90, lightgrey: 0xd3d3d3, lightpink: 0xffb6c1, lightsalmon: 0xffa07a,
+  lightseagreen: 0x20b2aa, lightskyblue: 0x87cefa, lightslategray: 0x778899,
+  lightslategrey: 0x778899, lightsteelblue: 0xb0c4de, lightyellow: 0xffffe0, lime: 0x00ff00,
+  limegreen: 0x32cd32, linen: 0xfaf0e6, magenta: 0xff00ff, maroon: 0x800000,
+  mediumaquamarine: 0x66cdaa, mediumblue: 0x0000cd, mediumorchid: 0xba55d3, mediumpurple: 0x9370db,
+  mediumseagreen: 0x3cb371, mediumslateblue: 0x7b68ee, mediumspringgreen: 0x00fa9a,
+  mediumturquoise: 0x48d1cc, mediumvioletred: 0xc71585, midnightblue: 0x191970,
+  mintcream: 0xf5fffa, mistyrose: 0xffe4e1, moccasin: 0xffe4b5, navajowhite: 0xffdead,
+  navy: 0x000080, oldlace: 0xfdf5e6, olive: 0x808000, olivedrab: 0x6b8e23, orange: 0xffa500,
+  orangered: 0xff4500, orchid: 0xda70d6, palegoldenrod: 0xeee8aa, palegreen: 0x98fb98,
+  paleturquoise: 0xafeeee, palevioletred: 0xdb7093, papayawhip: 0xffefd5, peachpuff: 0xffdab9,
+  peru: 0xcd853f, pink: 0xffc0cb, plum: 0xdda0dd, powderblue: 0xb0e0e6, purple: 0x800080,
+  rebeccapurple: 0x663399, red: 0xff0000, rosybrown: 0xbc8f8f, royalblue: 0x4169e1,
+  saddlebrown: 0x8b4513, salmon: 0xfa8072, sandybrown: 0xf4a460, seagreen: 0x2e8b57,
+  seashell: 0xfff5ee, sienna: 0xa0522d, silver: 0xc0c0c0, skyblue: 0x87ceeb, slateblue: 0x6a5acd,
+  slategray: 0x708090, slategrey: 0x708090, snow: 0xfffafa, springgreen: 0x00ff7f,
+  steelblue: 0x4682b4, tan: 0xd2b48c, teal: 0x008080, thistle: 0xd8bfd8, tomato: 0xff6347,
+  turquoise: 0x40e0d0, violet: 0xee82ee, wheat: 0xf5deb3, white: 0xffffff, whitesmoke: 0xf5f5f5,
+  yellow: 0xffff00, yellowgreen: 0x9acd32,
+};
+
+/** Tailwind v3 default palette: 11 shades per color, in TAILWIND_SHADES order */
+const TAILWIND_SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+const TAILWIND_PALETTE = {
+  slate: 'f8fafc f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a 020617',
+  gray: 'f9fafb f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827 030712',
+  zinc: 'fafafa f4f4f5 e4e4e7 d4d4d8 a1a1aa 71717a 52525b 3f3f46 27272a 18181b 09090b',
+  neutral: 'fafafa f5f5f5 e5e5e5 d4d4d4 a3a3a3 737373 525252 404040 262626 171717 0a0a0a',
+  stone: 'fafaf9 f5f5f4 e7e5e4 d6d3d1 a8a29e 78716c 57534e 44403c 292524 1c1917 0c0a09',
+  red: 'fef2f2 fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d 450a0a',
+  orange: 'fff7ed ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12 431407',
+  amber: 'fffbeb fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f 451a03',
+  yellow: 'fefce8 fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12 422006',
+  lime: 'f7fee7 ecfccb d9f99d bef264 a3e635 84cc16 65a30d 4d7c0f 3f6212 365314 1a2e05',
+  green: 'f0fdf4 dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d 052e16',
+  emerald: 'ecfdf5 d1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b 022c22',
+  teal: 'f0fdfa ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a 042f2e',
+  cyan: 'ecfeff cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63 083344',
+  sky: 'f0f9ff e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e 082f49',
+  blue: 'eff6ff dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a 172554',
+  indigo: 'eef2ff e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81 1e1b4b',
+  violet: 'f5f3ff ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95 2e1065',
+  purple: 'faf5ff f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87 3b0764',
+  fuchsia: 'fdf4ff fae8ff f5d0fe f0abfc e879f9 d946ef c026d3 a21caf 86198f 701a75 4a044e',
+  pink: 'fdf2f8 fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843 500724',
+  rose: 'fff1f2 ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337 4c0519',
+};
+
+const TAILWIND_RE = /^(?:((?:[a-z]+-)*[a-z]+)-)??([a-z]+)(?:-(\d{2,3}))?(?:\/(\d{1,3}))?$/;
+const FUNC_RE = /^(rgba?|hsla?|hwb|oklch)\((.*)\)$/;
+const VAR_RE = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/;
+const NUM_RE = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(%|deg|rad|grad|turn)?$/;
+
+const clamp01 = v => Math.min(1, Math.max(0, v));
+
+function toInt(r, g, b) {
+  const c = v => Math.round(clamp01(v) * 255);
+  return (c(r) << 16) | (c(g) << 8) | c(b);
+}
+
+/** Parse one function argument; `percent` is what 100% maps to. Returns NaN when invalid */
+function num(str, percent = 1) {
+  if (str === 'none') return 0;
+  const m = NUM_RE.exec(str);
+  if (!m) return NaN;
+  const v = parseFloat(str);
+  if (m[3] === '%') return (v / 100) * percent;
+  return v;
+}
+
+/** Hue in degrees from a number or an angle with units */
+function hue(str) {
+  const v = num(str);
+  if (str.endsWith('rad')) return (v * 180) / Math.PI;
+  if (str.endsWith('grad')) return v * 0.9;
+  if (str.endsWith('turn')) return v * 360;
+  return v;
+}
+
+/** Alpha from a number (0-1) or percentage; missing means opaque */
+function alpha(str) {
+  return str == null ? 1 : clamp01(num(str, 1));
+}
+
+function hslToRgb(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0), f(8), f(4)];
+}
+
+function srgbGamma(x) {
+  return x <= 0.0031308 ? 12.92 * x : 1.055 * Math.pow(x, 1 / 2.4) - 0.055;
+}
+
+function oklchToRgb(L, C, H) {
+  const a = C * Math.cos((H * Math.PI) / 180);
+  const b = C * Math.sin((H * Math.PI) / 180);
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+    srgbGamma(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    srgbGamma(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    srgbGamma(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+  ];
+}
+
+function parseFunction(name, body) {
+  const [main, slashAlpha, extra] = body.split('/').map(p => p.trim());
+  if (extra != null) return null;
+  const args = main.split(/\s*,\s*|\s+/).filter(Boolean);
+  // Legacy comma syntax carries alpha as a fourth argument
+  const a = alpha(slashAlpha != null ? slashAlpha : args[3]);
+  if (args.length < 3 || args.length > (slashAlpha != null ? 3 : 4)) return null;
+  let rgb;
+  if (name === 'rgb' || name === 'rgba') {
+    rgb = args.slice(0, 3).map(v => num(v, 255) / 255);
+  } else if (name === 'hsl' || name === 'hsla') {
+    const h = ((hue(args[0]) % 360) + 360) % 360;
+    rgb = hslToRgb(h, clamp01(num(args[1], 100) / 100), clamp01(num(args[2], 100) / 100));
+  } else if (name === 'hwb') {
+    const h = ((hue(args[0]) % 360) + 360) % 360;
+    let w = clamp01(num(args[1], 100) / 100);
+    let b = clamp01(num(args[2], 100) / 100);
+    if (w + b >= 1) {
+      const gray = w / (w + b);
+      rgb = [gray, gray, gray];
+    } else {
+      rgb = hslToRgb(h, 1, 0.5).map(v => v * (1 - w - b) + w);
+    }
+  } else {
+    rgb = oklchToRgb(clamp01(num(args[0], 1)), Math.max(0, num(args[1], 0.4)), hue(args[2]));
+  }
+  if (rgb.some(Number.isNaN) || Number.isNaN(a)) return null;
+  return { color: toInt(...rgb), alpha: a };
+}
+
+function parseHex(hex) {
+  if (!/^[0-9a-f]+$/.test(hex) || ![3, 4, 6, 8].includes(hex.length)) return null;
+  const full = hex.length <= 4 ? hex.split('').map(ch => ch + ch).join('') : hex;
+  return {
+    color: parseInt(full.slice(0, 6), 16),
+    alpha: full.length === 8 ? parseInt(full.slice(6), 16) / 255 : 1,
+  };
+}
+
+function parseTailwind(str) {
+  const m = TAILWIND_RE.exec(str);
+  if (!m) return null;
+  const [, prefix, name, shade, opacity] = m;
+  // Bare names without a prefix or shade are CSS named colors, handled earlier
+  if (!prefix && !shade) return null;
+  const a = opacity != null ? clamp01(parseInt(opacity, 10) / 100) : 1;
+  if (!shade) {
+    if (name === 'white') return { color: 0xffffff, alpha: a };
+    if (name === 'black') return { color: 0x000000, alpha: a };
+    if (name === 'transparent') return { color: 0x000000, alpha: 0 };
+    return null;
+  }
+  const row = TAILWIND_PALETTE[name];
+  const idx = TAILWIND_SHADES.indexOf(shade);
+  if (!row || idx < 0) return null;
+  return { color: parseInt(row.split(' ')[idx], 16), alpha: a };
+}
+
+/** Resolve a CSS custom property on the document root ('' outside the browser) */
+function readCssVariable(name) {
+  if (typeof document === 'undefined' || typeof getComputedStyle === 'undefined') return '';
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+/**
+ * Parse any supported color into { color: 0xrrggbb, alpha: 0-1 }.
+ * Returns null for input that isn't a color, so callers choose the fallback.
+ */
+export function parseCssColor(input) {
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? { color: input & 0xffffff, alpha: 1 } : null;
+  }
+  if (typeof input !== 'string') return null;
+  const str = input.trim().toLowerCase();
+  if (!str) return null;
+
+  if (str.startsWith('#')) return parseHex(str.slice(1));
+  if (str === 'transparent') return { color: 0x000000, alpha: 0 };
+  if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, str)) return { color: NAMED_COLORS[str], alpha: 1 };
+
+  const v = VAR_RE.exec(input.trim());
+  if (v) {
+    const value = readCssVariable(v[1]);
+    if (value) return parseCssColor(value);
+    return v[2] != null ? parseCssColor(v[2]) : null;
+  }
+
+  const f = FUNC_RE.exec(str);
+  if (f) return parseFunction(f[1], f[2].trim());
+
+  return parseTailwind(str);
+}
@@ -1,12 +1,16 @@
 import * as THREE from 'three';
+import { parseCssColor } from './color.js';
 
 // --- Constants ---
 
-/** Dice with exact face count match get canvas-textured face labels */
-export const FACE_LABELED = new Set([4, 6, 8, 10, 12, 20]);
+/** Dice with exact face count match get canvas-textured face labels (plus any trapezohedron, see isFaceLabeled) */
+export const FACE_LABELED = new Set([2, 3, 4, 6, 8, 10, 12, 14, 16, 20, 24, 30]);
 
 /** Label plane size per die type (world-space units) */
-export const LABEL_SIZE = { 4: 0.95, 6: 1.45, 8: 0.82, 10: 0.68, 12: 0.62, 20: 0.56 };
+export const LABEL_SIZE = {
+  2: 1.3, 3: 1.0, 4: 0.95, 6: 1.45, 8: 0.82, 10: 0.68, 12: 0.62,
+  14: 0.6, 16: 0.56, 20: 0.56, 24: 0.46, 30: 0.42,
+};
 
 /** Settle animation duration in seconds */
 export const SETTLE_SECS = 0.6;
@@ -14,65 +18,223 @@ export const SETTLE_SECS = 0.6;
 /** D6 standard: opposite faces sum to 7. BoxGeometry face order: +x,-x,+y,-y,+z,-z */
 export const D6_NUMBERS = [1, 6, 2, 5, 3, 4];
 
+/** Sides value that renders as a percentile pair (tens D10 + ones D10) */
+export const PERCENTILE_SIDES = 100;
+
+/** Largest trapezohedron; bigger dice fall back to an icosahedron with overlay numbers */
+export const MAX_TRAPEZOHEDRON_SIDES = 200;
+
+// --- Percentile helpers ---
+
+/**
+ * Split a 1-100 result into the D10 face numbers (1-10) for the tens and ones dice.
+ * Digit 0 lives on face 10, so 100 reads 00 + 0 and 7 reads 00 + 7.
+ */
+export function splitPercentile(result) {
+  const r = ((Math.round(result) - 1) % 100 + 100) % 100 + 1;
+  const tens = Math.floor((r % 100) / 10);
+  const ones = r % 10;
+  return { tens: tens === 0 ? 10 : tens, ones: ones === 0 ? 10 : ones };
+}
+
+/** Face label for a D10 face number on a percentile die ('tens': 00-90, 'ones': 0-9) */
+export function percentileLabel(num, part) {
+  const digit = num % 10;
+  return part === 'tens' ? (digit === 0 ? '00' : String(digit * 10)) : String(digit);
+}
+
 // --- Color helpers ---
 
+/** Used when a color can't be parsed */
+const FALLBACK_COLOR = 0x6b7280;
+const warnedColors = new Set();
+
+function isDev() {
+  return typeof process === 'undefined' || !process.env || process.env.NODE_ENV !== 'production';
+}
+
 /**
- * Parse a color value into a Three.js-compatible hex integer.
- * Accepts: hex number (0x3b82f6), CSS hex string ('#3b82f6'), or Tailwind class (bg-blue-500).
+ * Parse a color value into { color: hex int, alpha: 0-1 }.
+ * Accepts numbers, any CSS color (hex, rgb/hsl/hwb/oklch, named, var(--x)) and
+ * Tailwind palette classes (bg-blue-700, text-rose-500/50). Unknown input falls
+ * back to gray, with a console warning outside production.
  */
-const TAILWIND_MAP = {
-  'bg-purple-500': 0xa855f7,
-  'bg-blue-500': 0x3b82f6,
-  'bg-green-500': 0x22c55e,
-  'bg-yellow-500': 0xeab308,
-  'bg-orange-500': 0xf97316,
-  'bg-red-500': 0xef4444,
-  'bg-pink-500': 0xec4899,
-  'bg-gray-500': 0x6b7280,
-};
+export function parseColorAlpha(color) {
+  const parsed = parseCssColor(color);
+  if (parsed) return parsed;
+  if (isDev() && !warnedColors.has(String(color))) {
+    warnedColors.add(String(color));
+    console.warn(`react-3d-dice: unrecognized color ${JSON.stringify(color)}, falling back to gray`);
+  }
+  return { color: FALLBACK_COLOR, alpha: 1 };
+}
 
+/** Parse a color value into a Three.js-compatible hex integer (alpha is dropped, see parseColorAlpha) */
 export function parseColor(color) {
-  if (typeof color === 'number') return color;
-  if (typeof color === 'string') {
-    if (color.startsWith('#')) return parseInt(color.slice(1), 16);
-    if (TAILWIND_MAP[color]) return TAILWIND_MAP[color];
+  return parseColorAlpha(color).color;
+}
+
+// --- Themes ---
+
+/**
+ * Built-in appearance presets. A theme sets the body material, edges and label
+ * colors; the die color itself still comes from `color`.
+ *   material     'plastic' | 'matte' | 'metal' | 'glass'
+ *   roughness    0 (mirror) - 1 (chalk)
+ *   metalness    0 - 1 (standard materials only)
+ *   opacity      body opacity, < 1 makes the body transparent
+ *   edges        show the edge wireframe
+ *   edgeColor / edgeOpacity
+ *   labelColor   numbers, text and SVG face content
+ *   labelOutline outline color around label text, or null
+ *   labelShadow  draw the offset drop shadow under labels and pips
+ *   pipColor     D6 dot pips
+ */
+export const DICE_THEMES = {
+  plastic: {
+    material: 'plastic', roughness: 0.3, metalness: 0, opacity: 1,
+    edges: true, edgeColor: '#ffffff', edgeOpacity: 0.2,
+    labelColor: '#ffffff', labelOutline: null, labelShadow: true, pipColor: '#ffffff',
+  },
+  matte: {
+    material: 'matte', roughness: 0.9, metalness: 0, opacity: 1,
+    edges: true, edgeColor: '#000000', edgeOpacity: 0.15,
+    labelColor: '#ffffff', labelOutline: null, labelShadow: false, pipColor: '#ffffff',
+  },
+  metal: {
+    material: 'metal', roughness: 0.35, metalness: 0.85, opacity: 1,
+    edges: true, edgeColor: '#ffffff', edgeOpacity: 0.4,
+    labelColor: '#111827', labelOutline: null, labelShadow: false, pipColor: '#111827',
+  },
+  glass: {
+    material: 'glass', roughness: 0.1, metalness: 0, opacity: 0.55,
+    edges: true, edgeColor: '#ffffff', edgeOpacity: 0.6,
+    labelColor: '#ffffff', labelOutline: '#000000', labelShadow: false, pipColor: '#ffffff',
+  },
+};
+
+/** Preset used when no theme is given (the original look) */
+export const DEFAULT_THEME = 'plastic';
+
+/**
+ * Resolve a theme prop into a complete theme object.
+ * Accepts a preset name, or a partial object whose `preset` (default 'plastic')
+ * supplies the missing fields. Unknown preset names fall back to the default.
+ */
+export function resolveTheme(theme) {
+  if (theme == null) return DICE_THEMES[DEFAULT_THEME];
+  if (typeof theme === 'string') return DICE_THEMES[theme] || DICE_THEMES[DEFAULT_THEME];
+  const { preset, ...overrides } = theme;
+  return { ...(DICE_THEMES[preset] || DICE_THEMES[DEFAULT_THEME]), ...overrides };
+}
+
+/** Stable string for a theme prop, for change detection */
+export function themeKey(theme) {
+  const t = resolveTheme(theme);
+  return Object.keys(DICE_THEMES.plastic).map(k => String(t[k])).join(',');
+}
+
+/** Canvas color string for a theme color (any color parseColorAlpha accepts) */
+function cssColor(color) {
+  const { color: hex, alpha } = parseColorAlpha(color);
+  if (alpha < 1) return `rgba(${hex >> 16}, ${(hex >> 8) & 0xff}, ${hex & 0xff}, ${alpha})`;
+  return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Body material for a theme: Phong for plastic (the original look), standard PBR otherwise.
+ * The color's alpha multiplies the theme opacity.
+ */
+export function createBodyMaterial(color, theme, sides) {
+  const { color: hex, alpha } = parseColorAlpha(color);
+  const opacity = theme.opacity * alpha;
+  const transparent = opacity < 1;
+  const common = { color: hex, flatShading: sides !== 6, transparent, opacity };
+  if (theme.material === 'plastic') {
+    return new THREE.MeshPhongMaterial({
+      ...common,
+      shininess: Math.round((1 - theme.roughness) * 114),
+      specular: 0x333333,
+    });
   }
-  return 0x6b7280;
+  return new THREE.MeshStandardMaterial({
+    ...common,
+    roughness: theme.roughness,
+    metalness: theme.metalness,
+    // Glass shows its back faces through the front
+    side: theme.material === 'glass' ? THREE.DoubleSide : THREE.FrontSide,
+    depthWrite: !transparent,
+  });
 }
 
 // --- Texture cache ---
 
 const texCache = new Map();
 
+/** Label font stack; emoji fonts let face content use emoji */
+const LABEL_FONT = 'Arial, "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+
 /** Clear the texture cache (useful for memory cleanup) */
 export function clearTextureCache() {
   texCache.forEach(tex => tex.dispose());
   texCache.clear();
 }
 
-/** Get or create a canvas texture with a number label */
-export function getNumTexture(num) {
-  if (texCache.has(num)) return texCache.get(num);
-  const sz = 256;
+/** Label style from a theme; null means the default white label with shadow */
+export function labelStyle(theme, color) {
+  const style = { color: cssColor(color), outline: theme.labelOutline ? cssColor(theme.labelOutline) : null, shadow: theme.labelShadow };
+  return style.color === '#ffffff' && !style.outline && style.shadow ? null : style;
+}
+
+function labelStyleKey(style) {
+  return style ? `|${style.color}:${style.outline || ''}:${style.shadow ? 1 : 0}` : '';
+}
+
+/** Draw a number (or short string) label into the sz x sz square at the context origin */
+function drawNumLabel(ctx, text, sz, style) {
+  let fs = text.length > 1 ? sz * 0.62 : sz * 0.82;
+  ctx.font = `bold ${fs}px ${LABEL_FONT}`;
+  // Longer strings (words, symbols) shrink to fit the label
+  const w = ctx.measureText(text).width;
+  if (w > sz * 0.9) {
+    fs *= (sz * 0.9) / w;
+    ctx.font = `bold ${fs}px ${LABEL_FONT}`;
+  }
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  // Shadow for depth
+  if (!style || style.shadow) {
+    ctx.fillStyle = 'rgba(0,0,0,0.35)';
+    ctx.fillText(text, sz / 2 + 2, sz / 2 + 2);
+  }
+  if (style && style.outline) {
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = fs * 0.12;
+    ctx.strokeStyle = style.outline;
+    ctx.strokeText(text, sz / 2, sz / 2);
+  }
+  ctx.fillStyle = style ? style.color : '#ffffff';
+  ctx.fillText(text, sz / 2, sz / 2);
+}
+
+/**
+ * Get or create a canvas texture with a number (or short string) label.
+ * style: { color, outline, shadow }; omit for white text with a drop shadow.
+ * size is the canvas width and height in pixels (see labelTextureSize).
+ */
+export function getNumTexture(num, style = null, size = 256) {
+  const key = `text:${num}${labelStyleKey(style)}${size !== 256 ? `@${size}` : ''}`;
+  if (texCache.has(key)) return texCache.get(key);
+  const sz = size;
   const c = document.createElement('canvas');
   c.width = sz;
   c.height = sz;
   const ctx = c.getContext('2d');
   ctx.clearRect(0, 0, sz, sz);
-  const text = String(num);
-  const fs = text.length > 1 ? sz * 0.62 : sz * 0.82;
-  ctx.font = `bold ${fs}px Arial, sans-serif`;
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  // Shadow for depth
-  ctx.fillStyle = 'rgba(0,0,0,0.35)';
-  ctx.fillText(text, sz / 2 + 2, sz / 2 + 2);
-  // White number
-  ctx.fillStyle = '#ffffff';
-  ctx.fillText(text, sz / 2, sz / 2);
+  drawNumLabel(ctx, String(num), sz, style);
   const tex = new THREE.CanvasTexture(c);
   tex.needsUpdate = true;
-  texCache.set(num, tex);
+  texCache.set(key, tex);
   return tex;
 }
 
@@ -86,47 +248,261 @@ const DOT_POSITIONS = {
   6: [[0.22, 0.18], [0.22, 0.5], [0.22, 0.82], [0.78, 0.18], [0.78, 0.5], [0.78, 0.82]],
 };
 
-/** Get or create a canvas texture with dot pips (D6 traditional style) */
-export function getDotTexture(num) {
-  const key = `dot-${num}`;
-  if (texCache.has(key)) return texCache.get(key);
-  const sz = 256;
-  const c = document.createElement('canvas');
-  c.width = sz;
-  c.height = sz;
-  const ctx = c.getContext('2d');
-  ctx.clearRect(0, 0, sz, sz);
+/** Draw D6 dot pips into the sz x sz square at the context origin */
+function drawDotLabel(ctx, num, sz, style) {
   const dots = DOT_POSITIONS[num] || DOT_POSITIONS[1];
   const r = num <= 2 ? sz * 0.13 : sz * 0.105;
   dots.forEach(([px, py]) => {
     // Shadow
-    ctx.beginPath();
-    ctx.arc(px * sz + 1, py * sz + 1, r, 0, Math.PI * 2);
-    ctx.fillStyle = 'rgba(0,0,0,0.3)';
-    ctx.fill();
-    // White dot
+    if (!style || style.shadow) {
+      ctx.beginPath();
+      ctx.arc(px * sz + 1, py * sz + 1, r, 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(0,0,0,0.3)';
+      ctx.fill();
+    }
+    // Dot
     ctx.beginPath();
     ctx.arc(px * sz, py * sz, r, 0, Math.PI * 2);
-    ctx.fillStyle = '#ffffff';
+    ctx.fillStyle = style ? style.color : '#ffffff';
     ctx.fill();
+    if (style && style.outline) {
+      ctx.lineWidth = sz * 0.02;
+      ctx.strokeStyle = style.outline;
+      ctx.stroke();
+    }
   });
+}
+
+/** Get or create a canvas texture with dot pips (D6 traditional style), styled like getNumTexture */
+export function getDotTexture(num, style = null) {
+  const key = `dot:${num}${labelStyleKey(style)}`;
+  if (texCache.has(key)) return texCache.get(key);
+  const sz = 256;
+  const c = document.createElement('canvas');
+  c.width = sz;
+  c.height = sz;
+  const ctx = c.getContext('2d');
+  ctx.clearRect(0, 0, sz, sz);
+  drawDotLabel(ctx, num, sz, style);
   const tex = new THREE.CanvasTexture(c);
   tex.needsUpdate = true;
   texCache.set(key, tex);
   return tex;
 }
 
+// --- Label atlas ---
+
+/** Every built-in label: numbers 1-30, percentile tens and ones digits, and D6 pips */
+const ATLAS_LABELS = [
+  ...Array.from({ length: 30 }, (_, i) => String(i + 1)),
+  '00', '40', '50', '60', '70', '80', '90', '0',
+  ...[1, 2, 3, 4, 5, 6].map(n => `dot-${n}`),
+];
+const ATLAS_COLS = 8;
+const ATLAS_CELL = 128;
+
+/**
+ * One texture holding every built-in label in an 8 x 8 grid, for instanced
+ * rendering. Numbers use `style`, pips use `pipStyle` (both as in getNumTexture).
+ * Returns { texture, cellSize, cells } where cellSize is a cell's size in UV
+ * units and cells maps a label ('7', '00', 'dot-3') to the UV of its bottom-left corner.
+ */
+export function getLabelAtlas(style = null, pipStyle = null) {
+  const key = `atlas:${labelStyleKey(style)}/${labelStyleKey(pipStyle)}`;
+  if (texCache.has(key)) return texCache.get(key).userData.atlas;
+  const sz = ATLAS_COLS * ATLAS_CELL;
+  const c = document.createElement('canvas');
+  c.width = sz;
+  c.height = sz;
+  const ctx = c.getContext('2d');
+  ctx.clearRect(0, 0, sz, sz);
+  const cellSize = 1 / ATLAS_COLS;
+  const cells = new Map();
+  ATLAS_LABELS.forEach((label, i) => {
+    const col = i % ATLAS_COLS;
+    const row = Math.floor(i / ATLAS_COLS);
+    ctx.save();
+    ctx.translate(col * ATLAS_CELL, row * ATLAS_CELL);
+    ctx.beginPath();
+    ctx.rect(0, 0, ATLAS_CELL, ATLAS_CELL);
+    ctx.clip();
+    if (label.startsWith('dot-')) drawDotLabel(ctx, Number(label.slice(4)), ATLAS_CELL, pipStyle);
+    else drawNumLabel(ctx, label, ATLAS_CELL, style);
+    ctx.restore();
+    // Canvas rows run top-down, UVs bottom-up
+    cells.set(label, [col * cellSize, 1 - (row + 1) * cellSize]);
+  });
+  const texture = new THREE.CanvasTexture(c);
+  texture.needsUpdate = true;
+  texture.userData.atlas = { texture, cellSize, cells };
+  texCache.set(key, texture);
+  return texture.userData.atlas;
+}
+
+// --- Custom face content ---
+
+const elementKeys = new WeakMap();
+let elementKeyCount = 0;
+
+/** Turn face content into { kind: 'text' | 'svg' | 'image', ... }, or null for a blank face */
+function normalizeContent(content) {
+  if (content == null || content === '') return null;
+  if (typeof content === 'number' || typeof content === 'string') return { kind: 'text', text: String(content) };
+  if (typeof content === 'object' && typeof content.path === 'string') {
+    const vb = content.viewBox != null ? content.viewBox : 24;
+    return { kind: 'svg', path: content.path, viewBox: Array.isArray(vb) ? vb : [vb, vb] };
+  }
+  if (typeof content === 'object' && 'image' in content) return { kind: 'image', image: content.image };
+  // Bare image element / canvas / bitmap
+  return { kind: 'image', image: content };
+}
+
+/**
+ * Stable cache key for face content. Strings and numbers key by value, SVG
+ * paths by path + viewBox, image URLs by URL and image elements by identity.
+ * Every key starts with its kind ('text:', 'blank:', 'svg:', 'img:', 'el:'),
+ * so text such as 'blank' or 'dot-3' never shares a key with other content.
+ */
+export function faceContentKey(content) {
+  const c = normalizeContent(content);
+  if (!c) return 'blank:';
+  if (c.kind === 'text') return `text:${c.text}`;
+  if (c.kind === 'svg') return `svg:${c.viewBox.join('x')}:${c.path}`;
+  if (typeof c.image === 'string') return `img:${c.image}`;
+  if (!elementKeys.has(c.image)) elementKeys.set(c.image, ++elementKeyCount);
+  return `el:${elementKeys.get(c.image)}`;
+}
+
+/** Draw an image source centered in the label, keeping aspect ratio */
+function drawImageFit(ctx, img, sz) {
+  const iw = img.naturalWidth || img.videoWidth || img.width;
+  const ih = img.naturalHeight || img.videoHeight || img.height;
+  if (!iw || !ih) return;
+  const scale = (sz * 0.8) / Math.max(iw, ih);
+  const w = iw * scale, h = ih * scale;
+  ctx.drawImage(img, (sz - w) / 2, (sz - h) / 2, w, h);
+}
+
+/**
+ * Get or create a canvas texture for arbitrary face content:
+ *   number | string             - text or emoji ('+', '−', 'Hit', '⚔️')
+ *   { path, viewBox? }          - SVG path data, viewBox size (default 24) or [w, h]
+ *   { image } | image element   - URL, HTMLImageElement, canvas or ImageBitmap
+ *   null | ''                   - blank face
+ * URL images load asynchronously; the texture updates when they arrive.
+ * style and size (see getNumTexture) color text and SVG content and set the canvas size;
+ * images keep their own colors.
+ */
+export function getFaceTexture(content, style = null, size = 256) {
+  const c = normalizeContent(content);
+  if (c && c.kind === 'text') return getNumTexture(c.text, style, size);
+  const key = (c && c.kind === 'svg' ? faceContentKey(content) + labelStyleKey(style) : faceContentKey(content))
+    + (size !== 256 ? `@${size}` : '');
+  if (texCache.has(key)) return texCache.get(key);
+  const sz = size;
+  const canvas = document.createElement('canvas');
+  canvas.width = sz;
+  canvas.height = sz;
+  const ctx = canvas.getContext('2d');
+  const tex = new THREE.CanvasTexture(canvas);
+
+  if (c && c.kind === 'svg') {
+    const [vw, vh] = c.viewBox;
+    const scale = (sz * 0.7) / Math.max(vw, vh);
+    const path = new Path2D(c.path);
+    const draw = (dx, dy, fill) => {
+      ctx.save();
+      ctx.translate(sz / 2 + dx, sz / 2 + dy);
+      ctx.scale(scale, scale);
+      ctx.translate(-vw / 2, -vh / 2);
+      ctx.fillStyle = fill;
+      ctx.fill(path);
+      ctx.restore();
+    };
+    if (!style || style.shadow) draw(2, 2, 'rgba(0,0,0,0.35)');
+    draw(0, 0, style ? style.color : '#ffffff');
+  } else if (c && c.kind === 'image') {
+    let img = c.image;
+    if (typeof img === 'string') {
+      const el = new Image();
+      el.crossOrigin = 'anonymous';
+      el.src = img;
+      img = el;
+    }
+    const paint = () => {
+      ctx.clearRect(0, 0, sz, sz);
+      drawImageFit(ctx, img, sz);
+      tex.needsUpdate = true;
+    };
+    if (img.complete === false) img.addEventListener('load', paint, { once: true });
+    else paint();
+  }
+
+  tex.needsUpdate = true;
+  texCache.set(key, tex);
+  return tex;
+}
+
+/**
+ * Face number (1-based) for a result given as a number or as face content.
+ * With `faces`, a label result ('+', 'Hit') resolves to the first face showing it.
+ * Returns null when the label isn't on any face.
+ */
+export function faceNumberFor(result, faces) {
+  if (typeof result === 'number') return result;
+  if (faces) {
+    const key = faceContentKey(result);
+    const idx = faces.findIndex(f => faceContentKey(f) === key);
+    if (idx >= 0) return idx + 1;
+  }
+  const n = Number(result);
+  return result !== '' && result != null && Number.isFinite(n) ? n : null;
+}
+
 // --- Geometry helpers ---
 
 /**
- * Pentagonal trapezohedron: the standard D10 shape.
- * 12 vertices (2 poles + 5 upper ring + 5 lower ring), 10 kite-shaped faces.
- * Each kite is split into 2 coplanar triangles for BufferGeometry.
- * Planarity condition: h/H = (1 - cos36) / (1 + cos36)
+ * Even face counts (other than the platonic D8/D12/D20 and the D30) up to
+ * MAX_TRAPEZOHEDRON_SIDES use a trapezohedron. Past that the kites are too thin
+ * to tell apart, so the die falls back to overlay numbers; so does a lone d100,
+ * which is a percentile pair everywhere else (see expandDice).
  */
-export function createD10Geometry(radius) {
+export function isTrapezohedron(sides) {
+  return sides >= 10 && sides <= MAX_TRAPEZOHEDRON_SIDES && sides % 2 === 0
+    && sides !== 12 && sides !== 20 && sides !== 30 && sides !== PERCENTILE_SIDES;
+}
+
+/** Whether a die gets canvas-textured face labels (otherwise: overlay numbers) */
+export function isFaceLabeled(sides) {
+  return FACE_LABELED.has(sides) || isTrapezohedron(sides);
+}
+
+/** Label plane size for a die, shrinking with face count on large trapezohedra */
+export function labelSize(sides) {
+  if (LABEL_SIZE[sides]) return LABEL_SIZE[sides];
+  if (isTrapezohedron(sides)) return Math.max(0.68 * Math.sqrt(10 / sides), 0.25);
+  return 0.3;
+}
+
+/**
+ * Label texture size in pixels: 256 for the standard dice, halving (down to 64)
+ * as the labels of large trapezohedra shrink, so a d200 doesn't hold 200 full-size canvases.
+ */
+export function labelTextureSize(sides) {
+  if (sides <= 30 || !isTrapezohedron(sides)) return 256;
+  const px = (256 * labelSize(sides)) / LABEL_SIZE[10];
+  return Math.max(64, 2 ** Math.floor(Math.log2(px)));
+}
+
+/**
+ * N-sided trapezohedron (N even): 2 poles + two staggered rings of N/2,
+ * N kite-shaped faces. Each kite is split into 2 coplanar triangles.
+ * Planarity condition: h/H = (1 - cos(2pi/N)) / (1 + cos(2pi/N))
+ */
+export function createTrapezohedronGeometry(radius, sides) {
+  const k2 = sides / 2;
   const H = radius;
-  const h = H * (1 - Math.cos(Math.PI / 5)) / (1 + Math.cos(Math.PI / 5));
+  const h = H * (1 - Math.cos(Math.PI / k2)) / (1 + Math.cos(Math.PI / k2));
   const r = radius * 0.85;
 
   const top = [0, H, 0];
@@ -134,9 +510,9 @@ export function createD10Geometry(radius) {
   const upper = [];
   const lower = [];
 
-  for (let k = 0; k < 5; k++) {
-    const aU = (k * 2 * Math.PI) / 5;
-    const aL = aU + Math.PI / 5;
+  for (let k = 0; k < k2; k++) {
+    const aU = (k * 2 * Math.PI) / k2;
+    const aL = aU + Math.PI / k2;
     upper.push([r * Math.cos(aU), h, r * Math.sin(aU)]);
     lower.push([r * Math.cos(aL), -h, r * Math.sin(aL)]);
   }
@@ -144,8 +520,8 @@ export function createD10Geometry(radius) {
   const verts = [];
   function push3(v) { verts.push(v[0], v[1], v[2]); }
 
-  for (let k = 0; k < 5; k++) {
-    const nk = (k + 1) % 5;
+  for (let k = 0; k < k2; k++) {
+    const nk = (k + 1) % k2;
     // Top kite: top, upper[k], lower[k], upper[nk]
     push3(top); push3(lower[k]); push3(upper[k]);
     push3(top); push3(upper[nk]); push3(lower[k]);
@@ -160,37 +536,185 @@ export function createD10Geometry(radius) {
   return geo;
 }
 
+/**
+ * Pentagonal trapezohedron: the standard D10 shape.
+ * 12 vertices (2 poles + 5 upper ring + 5 lower ring), 10 kite-shaped faces.
+ */
+export function createD10Geometry(radius) {
+  return createTrapezohedronGeometry(radius, 10);
+}
+
+/**
+ * Coin (D2): a thin disc. Logical faces are the two caps, stored on
+ * geometry.userData.faces because the rim facets are not numbered faces.
+ */
+export function createCoinGeometry(radius) {
+  const thickness = radius * 0.2;
+  const geo = new THREE.CylinderGeometry(radius, radius, thickness, 40);
+  geo.userData.faces = [1, -1].map(sign => ({
+    centroid: new THREE.Vector3(0, sign * thickness / 2, 0),
+    normal: new THREE.Vector3(0, sign, 0),
+    verts: [],
+  }));
+  return geo;
+}
+
+/**
+ * D3: a triangular prism along X with rounded long edges. The three flat
+ * sides are the logical faces; each carries an explicit `up` so numbers read
+ * across the prism with its long axis horizontal.
+ */
+export function createD3Geometry(radius) {
+  const inradius = radius / 2;
+  const round = radius * 0.18;
+  const half = radius * 0.85;
+  const arcSegs = 6;
+
+  // Rounded triangle cross-section in the YZ plane, counter-clockwise
+  const ring = [];
+  for (let j = 0; j < 3; j++) {
+    const a0 = -Math.PI / 2 + j * (2 * Math.PI / 3);
+    const corner = 2 * (inradius - round);
+    const cx = corner * Math.cos(a0 + Math.PI / 3);
+    const cy = corner * Math.sin(a0 + Math.PI / 3);
+    for (let s = 0; s <= arcSegs; s++) {
+      const a = a0 + (s / arcSegs) * (2 * Math.PI / 3);
+      ring.push([cx + round * Math.cos(a), cy + round * Math.sin(a)]);
+    }
+  }
+
+  const verts = [];
+  const P = (x, yz) => verts.push(x, yz[0], yz[1]);
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i], b = ring[(i + 1) % ring.length];
+    // Side strip
+    P(-half, a); P(-half, b); P(half, b);
+    P(-half, a); P(half, b); P(half, a);
+    // End caps (fans from the axis)
+    P(half, [0, 0]); P(half, a); P(half, b);
+    P(-half, [0, 0]); P(-half, b); P(-half, a);
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(verts, 3));
+  geo.computeVertexNormals();
+
+  const axis = new THREE.Vector3(1, 0, 0);
+  const flat = 2 * (inradius - round) * Math.sqrt(3) / 2;
+  geo.userData.faces = [0, 1, 2].map(j => {
+    const a = -Math.PI / 2 + j * (2 * Math.PI / 3);
+    const normal = new THREE.Vector3(0, Math.cos(a), Math.sin(a));
+    const centroid = normal.clone().multiplyScalar(inradius);
+    const across = new THREE.Vector3().crossVectors(axis, normal);
+    const faceVerts = [];
+    [-1, 1].forEach(sx => [-1, 1].forEach(sy => {
+      faceVerts.push(centroid.clone().addScaledVector(axis, sx * half).addScaledVector(across, sy * flat));
+    }));
+    return { centroid, normal, verts: faceVerts, up: across };
+  });
+  return geo;
+}
+
+/**
+ * Rhombic triacontahedron (D30): one rhombus per icosahedron edge, spanning
+ * the edge's two icosahedron vertices and the (lifted) centers of its two
+ * adjacent triangles. Face `up` points along the long diagonal.
+ */
+export function createD30Geometry(radius) {
+  const phi = (1 + Math.sqrt(5)) / 2;
+  const ico = [];
+  [[1, 1], [1, -1], [-1, 1], [-1, -1]].forEach(([a, b]) => {
+    [[0, a, b * phi], [a, b * phi, 0], [b * phi, 0, a]].forEach(v => {
+      ico.push(new THREE.Vector3(...v).normalize().multiplyScalar(radius));
+    });
+  });
+
+  const edgeLen = ico[0].distanceTo(ico.reduce((best, v) => {
+    if (v === ico[0]) return best;
+    return !best || v.distanceTo(ico[0]) < best.distanceTo(ico[0]) ? v : best;
+  }, null));
+  const adjacent = (a, b) => Math.abs(a.distanceTo(b) - edgeLen) < 1e-4;
+
+  const verts = [];
+  const faces = [];
+  for (let i = 0; i < ico.length; i++) {
+    for (let j = i + 1; j < ico.length; j++) {
+      const a = ico[i], b = ico[j];
+      if (!adjacent(a, b)) continue;
+      const m = new THREE.Vector3().addVectors(a, b).normalize();
+      const dist = a.dot(m);
+      // Lift each adjacent triangle center onto the face plane
+      const tips = ico.filter(c => c !== a && c !== b && adjacent(a, c) && adjacent(b, c)).map(c => {
+        const dir = new THREE.Vector3().add(a).add(b).add(c).normalize();
+        return dir.multiplyScalar(dist / dir.dot(m));
+      });
+      const [c, d] = tips;
+      const tri = (p, q, r) => {
+        const n = new THREE.Vector3().subVectors(q, p).cross(new THREE.Vector3().subVectors(r, p));
+        if (n.dot(m) < 0) [q, r] = [r, q];
+        verts.push(p.x, p.y, p.z, q.x, q.y, q.z, r.x, r.y, r.z);
+      };
+      tri(a, c, b);
+      tri(a, b, d);
+      const centroid = m.clone().multiplyScalar(dist);
+      const top = a.y > b.y || (a.y === b.y && a.x > b.x) ? a : b;
+      faces.push({
+        centroid,
+        normal: m,
+        verts: [a.clone(), c.clone(), b.clone(), d.clone()],
+        up: new THREE.Vector3().subVectors(top, centroid).normalize(),
+      });
+    }
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(verts, 3));
+  geo.computeVertexNormals();
+  geo.userData.faces = faces;
+  return geo;
+}
+
 /** Create geometry for a given number of sides */
 export function createGeometry(sides) {
   switch (sides) {
+    case 2: return createCoinGeometry(1.2);
+    case 3: return createD3Geometry(1.2);
     case 4: return new THREE.TetrahedronGeometry(1.2, 0);
     case 6: return new THREE.BoxGeometry(1.7, 1.7, 1.7);
     case 8: return new THREE.OctahedronGeometry(1.2, 0);
     case 10: return createD10Geometry(1.2);
     case 12: return new THREE.DodecahedronGeometry(1.2, 0);
     case 20: return new THREE.IcosahedronGeometry(1.2, 0);
-    default: return new THREE.IcosahedronGeometry(1.14, 0);
+    case 30: return createD30Geometry(1.25);
+    default:
+      if (isTrapezohedron(sides)) return createTrapezohedronGeometry(1.2, sides);
+      return new THREE.IcosahedronGeometry(1.14, 0);
   }
 }
 
 /** How many geometric faces for each geometry type */
 export function geomFaceCount(sides) {
-  if (sides === 4) return 4;
-  if (sides === 6) return 6;
-  if (sides === 8) return 8;
-  if (sides === 10) return 10;
-  if (sides === 12) return 12;
-  if (sides === 20) return 20;
+  if (isFaceLabeled(sides)) return sides;
   return 20;
 }
 
 /**
  * Compute centroid + outward normal + unique vertices per logical face.
+ * Geometries that declare geometry.userData.faces (coin, D3, D30) return those.
  * For indexed geometry (D6 BoxGeometry) uses sequential grouping.
  * For non-indexed polyhedra, clusters triangles by normal direction since
  * Three.js does NOT group triangles sequentially by polygon face.
  */
 export function computeFaces(geometry, numFaces) {
+  if (geometry.userData.faces) {
+    return geometry.userData.faces.map(f => ({
+      centroid: f.centroid.clone(),
+      normal: f.normal.clone(),
+      verts: f.verts.map(v => v.clone()),
+      ...(f.up ? { up: f.up.clone() } : {}),
+    }));
+  }
+
   const pos = geometry.getAttribute('position');
   const idx = geometry.index;
 
@@ -284,7 +808,8 @@ export function computeFaces(geometry, numFaces) {
 
 /**
  * Assign display numbers to faces so opposite faces sum to sides+1.
- * D6 uses hardcoded D6_NUMBERS. D4 has no opposite faces. D10 puts odds at top pole.
+ * D6 uses hardcoded D6_NUMBERS. D4 and D3 have no opposite faces.
+ * D10 and other trapezohedra put odds at the top pole.
  */
 export function computeFaceNumbers(faces, sides) {
   if (sides === 6) return D6_NUMBERS;
@@ -314,21 +839,25 @@ export function computeFaceNumbers(faces, sides) {
     }
   }
 
-  if (sides === 10) {
-    pairs.forEach(p => {
-      if (p[1] >= 0 && faces[p[0]].centroid.y < faces[p[1]].centroid.y) {
-        [p[0], p[1]] = [p[1], p[0]];
-      }
-    });
-    pairs.sort((a, b) => {
-      const aA = Math.atan2(faces[a[0]].centroid.z, faces[a[0]].centroid.x);
-      const bA = Math.atan2(faces[b[0]].centroid.z, faces[b[0]].centroid.x);
-      return aA - bA;
+  if (isTrapezohedron(sides)) {
+    // Pair each top kite with the bottom kite across from it. With an even
+    // ring count there is no exact opposite, so take the next one round.
+    const angle = f => Math.atan2(f.centroid.z, f.centroid.x);
+    const top = [], bottom = [];
+    faces.forEach((f, i) => (f.centroid.y > 0 ? top : bottom).push(i));
+    top.sort((a, b) => angle(faces[a]) - angle(faces[b]));
+    const ring = top.length;
+    const offset = Math.PI + (ring % 2 === 0 ? Math.PI / ring : 0);
+    top.forEach((ti, k) => {
+      const want = angle(faces[ti]) + offset;
+      let best = -1, bestDiff = Infinity;
+      bottom.forEach(bi => {
+        const diff = Math.abs(Math.atan2(Math.sin(angle(faces[bi]) - want), Math.cos(angle(faces[bi]) - want)));
+        if (diff < bestDiff) { bestDiff = diff; best = bi; }
+      });
+      numbers[ti] = k * 2 + 1;
+      if (best >= 0) numbers[best] = target - (k * 2 + 1);
     });
-    for (let k = 0; k < pairs.length; k++) {
-      numbers[pairs[k][0]] = k * 2 + 1;
-      if (pairs[k][1] >= 0) numbers[pairs[k][1]] = target - (k * 2 + 1);
-    }
     return numbers;
   }
 
@@ -342,7 +871,8 @@ export function computeFaceNumbers(faces, sides) {
 /**
  * Compute the settle quaternion for a face: rotates face normal to +Z, text upright.
  * Builds a full rotation matrix (not shortest-arc) so text aligns with face geometry.
- * D10: pole tip at bottom. D6: project +Y (edge-aligned). Others: snap to nearest vertex.
+ * Faces with an explicit `up` (D3, D30) use it. Trapezohedra (D10 etc.): pole tip at bottom.
+ * D6 and coin: project +Y (edge-aligned). Others: snap to nearest vertex.
  */
 export function faceSettleQuat(face, sides) {
   const n = face.normal.clone().normalize();
@@ -352,8 +882,10 @@ export function faceSettleQuat(face, sides) {
   const refUp = ref.clone().addScaledVector(n, -ref.dot(n)).normalize();
 
   let faceUp;
-  if (sides === 10) {
-    const H = 1.2;
+  if (face.up) {
+    faceUp = face.up.clone().addScaledVector(n, -face.up.dot(n)).normalize();
+  } else if (isTrapezohedron(sides)) {
+    const H = face.verts.reduce((m, v) => Math.max(m, Math.abs(v.y)), 0);
     const pole = face.centroid.y > 0
       ? new THREE.Vector3(0, H, 0)
       : new THREE.Vector3(0, -H, 0);
@@ -380,57 +912,158 @@ export function faceSettleQuat(face, sides) {
   return new THREE.Quaternion().setFromRotationMatrix(m).conjugate();
 }
 
+// --- Vertex-reading D4 ---
+
+/** Corner label size and how far from the face centroid toward its corner it sits */
+const D4_CORNER_SIZE = 0.4;
+const D4_CORNER_INSET = 0.58;
+
+/**
+ * Number the 4 tetrahedron vertices 1-4 (ordered by y, then x, then z).
+ * Returns [{ position, number }]. Each face then shows the numbers of its
+ * three corners, and the face opposite a vertex is the one missing its number.
+ */
+export function computeVertexNumbers(faces) {
+  const unique = [];
+  faces.forEach(f => f.verts.forEach(v => {
+    if (!unique.some(u => u.distanceTo(v) < 0.001)) unique.push(v.clone());
+  }));
+  unique.sort((a, b) => {
+    if (Math.abs(a.y - b.y) > 0.001) return b.y - a.y;
+    if (Math.abs(a.x - b.x) > 0.001) return a.x - b.x;
+    return a.z - b.z;
+  });
+  return unique.map((position, i) => ({ position, number: i + 1 }));
+}
+
+/**
+ * Settle quaternion for a vertex-reading D4: the result vertex points at the
+ * camera (+Z), the die resting on the opposite face. Yawed so the first face
+ * around the vertex sits below it on screen, its corner number upright.
+ */
+export function vertexSettleQuat(vertex, faces) {
+  const n = vertex.clone().normalize();
+  const face = faces.find(f => f.verts.some(v => v.distanceTo(vertex) < 0.001)) || faces[0];
+  const faceUp = n.clone().multiplyScalar(face.centroid.dot(n)).sub(face.centroid).normalize();
+  const xAxis = new THREE.Vector3().crossVectors(faceUp, n).normalize();
+  const m = new THREE.Matrix4().makeBasis(xAxis, faceUp, n);
+  return new THREE.Quaternion().setFromRotationMatrix(m).conjugate();
+}
+
+/** Textured label plane (pre-orientation, facing +Z) */
+function labelMesh(tex, size) {
+  const pg = new THREE.PlaneGeometry(size, size);
+  const pm = new THREE.MeshBasicMaterial({
+    map: tex,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+  });
+  return new THREE.Mesh(pg, pm);
+}
+
+/** Three corner numbers per face, each reading upright toward its own corner */
+function cornerLabels(faces, vertexNumbers) {
+  const labels = [];
+  faces.forEach(face => {
+    face.verts.forEach(v => {
+      const vn = vertexNumbers.find(e => e.position.distanceTo(v) < 0.001);
+      if (!vn) return;
+      const up = new THREE.Vector3().subVectors(v, face.centroid).normalize();
+      const xAxis = new THREE.Vector3().crossVectors(up, face.normal).normalize();
+      const position = face.centroid.clone()
+        .addScaledVector(new THREE.Vector3().subVectors(v, face.centroid), D4_CORNER_INSET)
+        .addScaledVector(face.normal, 0.02);
+      const quaternion = new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(xAxis, up, face.normal));
+      labels.push({ number: vn.number, size: D4_CORNER_SIZE, position, quaternion });
+    });
+  });
+  return labels;
+}
+
+/**
+ * Settle metadata and label placements for a face-labeled die's geometry.
+ * Returns { userData: { faces, faceNumbers, numberToFace } (plus vertexNumbers and
+ * numberToVertex for vertex-reading D4s), labels: [{ number, size, position, quaternion }] }
+ * with each label plane facing out of its face in the die's local space.
+ */
+export function dieLabelLayout(geo, sides, d4Style) {
+  const faces = computeFaces(geo, geomFaceCount(sides));
+  const faceNumbers = computeFaceNumbers(faces, sides);
+  const numberToFace = {};
+  faceNumbers.forEach((num, idx) => { numberToFace[num] = idx; });
+  const userData = { faces, faceNumbers, numberToFace };
+
+  if (sides === 4 && d4Style === 'vertices') {
+    const vertexNumbers = computeVertexNumbers(faces);
+    userData.vertexNumbers = vertexNumbers;
+    userData.numberToVertex = {};
+    vertexNumbers.forEach((vn, idx) => { userData.numberToVertex[vn.number] = idx; });
+    return { userData, labels: cornerLabels(faces, vertexNumbers) };
+  }
+
+  const size = labelSize(sides);
+  const labels = [];
+  for (let i = 0; i < sides; i++) {
+    const face = faces[i];
+    if (!face) continue;
+    const position = face.centroid.clone().addScaledVector(face.normal, 0.02);
+    labels.push({ number: faceNumbers[i], size, position, quaternion: faceSettleQuat(face, sides).conjugate() });
+  }
+  return { userData, labels };
+}
+
 /**
  * Build a complete die mesh with edges, face labels, and settle metadata.
- * Returns a THREE.Mesh with userData: { faces, faceNumbers, numberToFace }
+ * color is anything parseColorAlpha accepts; its alpha makes the body transparent.
+ * options.percentile ('tens' | 'ones') relabels a D10 as one half of a percentile pair.
+ * options.d4Style ('faces' | 'vertices') picks face-centered or corner-read D4 numbers.
+ * options.faces replaces the labels: faces[n - 1] is drawn where number n would be
+ * (see getFaceTexture for the content types); results may then be given as labels.
+ * options.theme is a DICE_THEMES preset name or a partial theme object (see resolveTheme).
+ * Returns a THREE.Mesh with userData: { sides, faces, faceNumbers, numberToFace, faceContent? }
+ * (vertex-reading D4s also carry { vertexNumbers, numberToVertex }).
  */
-export function buildDieMesh(sides, color, d6Style) {
+export function buildDieMesh(sides, color, d6Style, options = {}) {
   const geo = createGeometry(sides);
-  const mat = new THREE.MeshPhongMaterial({
-    color,
-    shininess: 80,
-    specular: 0x333333,
-    flatShading: sides !== 6,
-  });
-  const mesh = new THREE.Mesh(geo, mat);
-
-  // Edge wireframe
-  const eg = new THREE.EdgesGeometry(geo);
-  const em = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.2 });
-  mesh.add(new THREE.LineSegments(eg, em));
-
-  // Face labels (only for standard platonic solid dice)
-  if (FACE_LABELED.has(sides)) {
-    const nf = geomFaceCount(sides);
-    const faces = computeFaces(geo, nf);
-    mesh.userData.faces = faces;
-    const ls = LABEL_SIZE[sides] || 0.3;
-    const useDots = sides === 6 && d6Style === 'dots';
+  const theme = resolveTheme(options.theme);
+  const mesh = new THREE.Mesh(geo, createBodyMaterial(color, theme, sides));
+  mesh.userData.sides = sides;
+  if (options.percentile) mesh.userData.percentile = options.percentile;
+  const content = options.faces && !options.percentile ? options.faces : null;
+  if (content) mesh.userData.faceContent = content;
 
-    const faceNumbers = computeFaceNumbers(faces, sides);
-    mesh.userData.faceNumbers = faceNumbers;
-    const numberToFace = {};
-    faceNumbers.forEach((num, idx) => { numberToFace[num] = idx; });
-    mesh.userData.numberToFace = numberToFace;
-
-    for (let i = 0; i < sides; i++) {
-      const face = faces[i];
-      if (!face) continue;
-      const num = faceNumbers[i];
-      const tex = useDots ? getDotTexture(num) : getNumTexture(num);
-      const pg = new THREE.PlaneGeometry(ls, ls);
-      const pm = new THREE.MeshBasicMaterial({
-        map: tex,
-        transparent: true,
-        depthWrite: false,
-        side: THREE.DoubleSide,
-      });
-      const label = new THREE.Mesh(pg, pm);
-      label.position.copy(face.centroid).addScaledVector(face.normal, 0.02);
-      const sq = faceSettleQuat(face, sides);
-      label.quaternion.copy(sq.conjugate());
+  // Edge wireframe (coarser threshold hides the facets of curved dice)
+  if (theme.edges) {
+    const eg = new THREE.EdgesGeometry(geo, sides === 2 || sides === 3 ? 25 : 1);
+    const edge = parseColorAlpha(theme.edgeColor);
+    const em = new THREE.LineBasicMaterial({
+      color: edge.color,
+      transparent: true,
+      opacity: theme.edgeOpacity * edge.alpha,
+    });
+    mesh.add(new THREE.LineSegments(eg, em));
+  }
+
+  // Face labels (only for dice with a labeled shape)
+  if (isFaceLabeled(sides)) {
+    const layout = dieLabelLayout(geo, sides, options.d4Style);
+    Object.assign(mesh.userData, layout.userData);
+    const useDots = sides === 6 && d6Style === 'dots';
+    const textStyle = labelStyle(theme, theme.labelColor);
+    const size = labelTextureSize(sides);
+    const texFor = num => {
+      if (content && num <= content.length) return getFaceTexture(content[num - 1], textStyle, size);
+      if (useDots) return getDotTexture(num, labelStyle(theme, theme.pipColor));
+      if (sides === 10 && options.percentile) return getNumTexture(percentileLabel(num, options.percentile), textStyle);
+      return getNumTexture(num, textStyle, size);
+    };
+    layout.labels.forEach(l => {
+      const label = labelMesh(texFor(l.number), l.size);
+      label.position.copy(l.position);
+      label.quaternion.copy(l.quaternion);
       mesh.add(label);
-    }
+    });
   }
 
   return mesh;
@@ -439,12 +1072,21 @@ export function buildDieMesh(sides, color, d6Style) {
 /**
  * Quaternion that rotates a face normal to point at camera (+Z), text upright.
  * Looks up the face index from mesh.userData.numberToFace.
+ * Vertex-reading D4s point the result vertex at the camera instead.
+ * With custom face content the result may be a face label.
  */
 export function settleQuat(mesh, result, sides) {
   const faces = mesh.userData.faces;
   const ntf = mesh.userData.numberToFace;
   if (!faces || !ntf) return null;
-  const fi = ntf[result];
+  const num = faceNumberFor(result, mesh.userData.faceContent);
+  const ntv = mesh.userData.numberToVertex;
+  if (ntv) {
+    const vi = ntv[num];
+    if (vi == null) return null;
+    return vertexSettleQuat(mesh.userData.vertexNumbers[vi].position, faces);
+  }
+  const fi = ntf[num];
   if (fi == null || fi < 0 || fi >= faces.length) return null;
   return faceSettleQuat(faces[fi], sides);
 }
@@ -1,15 +1,85 @@
-import { FC, CSSProperties } from 'react';
-import { BufferGeometry, Mesh, Quaternion } from 'three';
+import { Context, CSSProperties, ForwardRefExoticComponent, JSX, ReactNode, RefAttributes } from 'react';
+import { BufferGeometry, Group, Intersection, Mesh, Object3D, Quaternion } from 'three';
 
 // --- Component ---
 
-export interface Dice3DProps {
-  /** Number of sides: 4, 6, 8, 10, 12, 20 (or any for unlabeled) */
+/**
+ * Content drawn on one face: text or emoji, an SVG path (viewBox size or [w, h], default 24),
+ * an image (URL or element), or null / '' for a blank face
+ */
+export type FaceContent =
+  | number
+  | string
+  | null
+  | { path: string; viewBox?: number | [number, number] }
+  | { image: string | CanvasImageSource }
+  | CanvasImageSource;
+
+export type ThemePreset = 'plastic' | 'matte' | 'metal' | 'glass';
+
+export interface DiceTheme {
+  /** Body material: plastic (Phong, the default look), or matte / metal / glass (standard PBR) */
+  material: 'plastic' | 'matte' | 'metal' | 'glass';
+  /** 0 (mirror) - 1 (chalk) */
+  roughness: number;
+  /** 0 - 1, ignored by plastic */
+  metalness: number;
+  /** Body opacity; below 1 the body is transparent */
+  opacity: number;
+  /** Show the edge wireframe */
+  edges: boolean;
+  edgeColor: number | string;
+  edgeOpacity: number;
+  /** Color of numbers, text and SVG face content */
+  labelColor: number | string;
+  /** Outline drawn around label text, or null */
+  labelOutline: number | string | null;
+  /** Offset drop shadow under labels and pips */
+  labelShadow: boolean;
+  /** D6 dot pip color */
+  pipColor: number | string;
+}
+
+/** A preset name, or overrides on top of `preset` (default 'plastic') */
+export type ThemeProp = ThemePreset | (Partial<DiceTheme> & { preset?: ThemePreset });
+
+export interface LabelStyle {
+  color: string;
+  outline: string | null;
+  shadow: boolean;
+}
+
+export interface DieSpec {
+  /** Number of sides for this die */
   sides: number;
-  /** Die color as hex number (0x3b82f6), CSS hex string ('#3b82f6'), or Tailwind class */
+  /** Die color (falls back to the component `color`) */
+  color?: number | string;
+  /** Result shown when the die settles: a face number, or a face label when `faces` is set */
+  result: number | string;
+  /** D6 label style (falls back to the component `d6Style`) */
+  d6Style?: 'numbers' | 'dots';
+  /** D4 label style (falls back to the component `d4Style`) */
+  d4Style?: 'faces' | 'vertices';
+  /** Custom face content (falls back to the component `faces`) */
+  faces?: FaceContent[];
+  /** Appearance (falls back to the component `theme`) */
+  theme?: ThemeProp;
+  /** Identity of the die across updates (see `keys`) */
+  id?: string | number;
+}
+
+export interface Dice3DProps {
+  /** Number of sides: 2-30 labeled shapes (see README), 100 (percentile pair), or any for unlabeled. Ignored when `dice` is set */
+  sides?: number;
+  /**
+   * Die color: hex number (0x3b82f6), any CSS color ('#3b82f6', 'rgb(…)', 'hsl(…)', 'oklch(…)', 'red',
+   * 'var(--die)') or Tailwind class ('bg-blue-700', 'bg-rose-500/50'). Alpha makes the die transparent
+   */
   color?: number | string;
   /** Roll results array (one per die rendered) */
-  results?: number[];
+  results?: (number | string)[];
+  /** Mixed dice pool, one entry per die. Overrides `sides` and `results` */
+  dice?: DieSpec[];
   /** Whether dice are currently rolling */
   isRolling?: boolean;
   /** Animation style */
@@ -18,6 +88,14 @@ export interface Dice3DProps {
   rollTrigger?: number;
   /** D6 label style */
   d6Style?: 'numbers' | 'dots';
+  /** D4 label style: one number per face, or three corner numbers read at the top vertex */
+  d4Style?: 'faces' | 'vertices';
+  /** Custom face content: `faces[n - 1]` replaces number n */
+  faces?: FaceContent[];
+  /** Appearance preset or theme overrides (default 'plastic') */
+  theme?: ThemeProp;
+  /** Seeded rigid-body throw instead of the canned spin. `true` uses a random seed */
+  physics?: boolean | PhysicsOptions;
   /** Container height in px (auto-computed from rows if omitted) */
   height?: number;
   /** CSS class for the container */
@@ -26,34 +104,705 @@ export interface Dice3DProps {
   style?: CSSProperties;
   /** Text shown when no results */
   emptyText?: string;
+  /** Called when the dice start spinning, or when a throw or settle starts without a spin */
+  onRollStart?: () => void;
+  /** Called as each die comes to rest. A percentile pair reports once, with its 1-100 result */
+  onDieSettled?: (event: DieSettledEvent) => void;
+  /** Called once every die is at rest, with the results in `dice` / `results` order */
+  onAllSettled?: (results: (number | string)[]) => void;
+  /** Called after onAllSettled with a log of the roll that the ref handle's replay() plays back exactly */
+  onRollRecorded?: (log: RollLog) => void;
+  /** Indices (into `dice` / `results`) of held dice: outlined, raised and tinted; they sit out the next roll */
+  heldDice?: number[];
+  /** Die clicked, or Enter / Space on the keyboard-focused die. Makes the container focusable */
+  onDieClick?: (event: DieEvent) => void;
+  /** Pointer entered a die (or keyboard focus moved to it); null when it leaves */
+  onDieHover?: (event: DieEvent | null) => void;
+  /** Drag the dice and release to throw them. Throws always use the physics simulation */
+  throwable?: boolean;
+  /**
+   * Called when a throw is released. Return the results to land on (one per entry in `dice` / `results`),
+   * or a Promise of them; return nothing (or throw) to land on the current results
+   */
+  onThrow?: (gesture: ThrowGesture) => (number | string)[] | void | Promise<(number | string)[] | void>;
+  /** Announce each settled roll in a polite ARIA live region (default true) */
+  announce?: boolean;
+  /** Announcement text for a settled roll (default: describeRoll, e.g. "Rolled 2d6: 3 and 5, total 8") */
+  formatAnnouncement?: (dice: AnnouncedDie[]) => string;
+  /** Accessible label for the dice canvas (default: a description of the current dice) */
+  ariaLabel?: string;
+  /** Under prefers-reduced-motion, use animationMode 'none' and stop the idle motion (default true) */
+  respectReducedMotion?: boolean;
+  /** Draw the dice through a DicePool: a few draw calls for any count (default 'auto': from 24 physical dice) */
+  instanced?: boolean | 'auto';
+  /** Where the dice sit (default 'grid') */
+  layout?: LayoutProp;
+  /** Dice on a table under a perspective camera, with shadows (default false) */
+  tray?: boolean | TrayOptions;
+  /** Send this table's rolls to the other clients of a DiceSync and replay theirs */
+  sync?: DiceSync;
+  /** Crit glow, fumble tint and ghosted dropped dice as they settle, plus an optional total badge (default false) */
+  annotations?: boolean | Annotations;
+  /**
+   * Identity of each die, in `dice` / `results` order (or set `id` on each die). With every die keyed, a change
+   * builds only the dice that came or changed and disposes the ones that went; the others keep their pose
+   */
+  keys?: (string | number)[];
+}
+
+export interface AnnouncedDie {
+  sides: number;
+  result: number | string;
+  dropped?: boolean;
+  /** A d3 with FUDGE_FACES is announced as dF */
+  faces?: FaceContent[];
+}
+
+export interface ThrowGesture {
+  /** Release velocity in world units per second (+y is up the screen) */
+  velocity: { x: number; y: number };
+  speed: number;
 }
 
-declare const Dice3D: FC<Dice3DProps>;
+export interface DieEvent {
+  /** Index into `dice` (or `results`) */
+  index: number;
+  result: number | string;
+  sides: number;
+  held: boolean;
+}
+
+export interface DieSettledEvent {
+  /** Index into `dice` (or `results`) */
+  index: number;
+  result: number | string;
+  sides: number;
+}
+
+export interface PhysicsOptions {
+  /** Same seed + same dice + same canvas size = same trajectory */
+  seed?: number | string;
+  /** Angular speed multiplier (default 1) */
+  spin?: number;
+  /** Hard cap on simulated seconds (default 6) */
+  maxTime?: number;
+}
+
+export interface RollOptionsHandle {
+  /** Spin time before the dice settle, in ms (default 800; 0 settles without a spin) */
+  duration?: number;
+  /** Seed for the start rotations, settle and physics throw: same seed and dice, same animation (default: random) */
+  seed?: number | string;
+}
+
+/** Imperative handle exposed through `ref` */
+export interface Dice3DHandle {
+  /**
+   * Spin, then land on `results` (default: the current ones). Resolves with the results once every die is at rest,
+   * and rejects when the component is not mounted.
+   * Results set through the handle override the `results` prop (or each `dice[i].result`) until those props change
+   */
+  roll(results?: (number | string)[], options?: RollOptionsHandle): Promise<(number | string)[]>;
+  /** Show new results without a spin */
+  setResults(results: (number | string)[]): void;
+  /** Finish the current spin, settle or throw immediately */
+  stop(): void;
+  /**
+   * Play a roll log (or its JSON string) back exactly. Its dice are shown until the `dice` / `results`
+   * props change. Resolves with the results once every die is at rest; rejects when the component is not mounted
+   */
+  replay(log: RollLog | string): Promise<(number | string)[]>;
+  /** Capture the current frame (the canvas only: overlay numbers aren't included) */
+  toDataURL(type?: string, quality?: number): string;
+  toBlob(type?: string, quality?: number): Promise<Blob | null>;
+}
+
+declare const Dice3D: ForwardRefExoticComponent<Dice3DProps & RefAttributes<Dice3DHandle>>;
 export default Dice3D;
 export { Dice3D };
 
+// --- DiceScene (framework-agnostic renderer behind Dice3D) ---
+
+export interface DiceSceneOptions {
+  /** Settings for dice that leave them out, and for bare results (default: d6, blue) */
+  defaults?: Partial<Omit<DieSpec, 'result'>>;
+  animationMode?: 'full' | 'quick' | 'none';
+  physics?: boolean | PhysicsOptions;
+  /** Indices of held dice */
+  heldDice?: number[];
+  /** Drag the dice and release to throw them */
+  throwable?: boolean;
+  /** Called on release; return the results (or a Promise of them) to land on */
+  onThrow?: ((gesture: ThrowGesture) => (number | string)[] | Promise<(number | string)[]> | void) | null;
+  /** Under prefers-reduced-motion, use animationMode 'none' and stop the idle motion (default true) */
+  respectReducedMotion?: boolean;
+  /** Draw the dice through a DicePool: a few draw calls for any count (default 'auto': from 24 physical dice) */
+  instanced?: boolean | 'auto';
+  /** Where the dice sit (default 'grid') */
+  layout?: LayoutProp;
+  /** Dice on a table under a perspective camera, with shadows (default false) */
+  tray?: boolean | TrayOptions;
+  /** Crit glow, fumble tint and ghosted dropped dice as they settle (default false) */
+  annotations?: boolean | Annotations;
+  /** Identity of each die, in dice order (or set `id` on each die): only changed dice are rebuilt */
+  keys?: (string | number)[] | null;
+}
+
+export interface DiceSceneUpdate extends DiceSceneOptions {
+  /** Die objects, or bare results using `defaults` */
+  dice?: (DieSpec & { dropped?: boolean })[] | (number | string)[];
+  /** Keep the dice spinning until set back to false */
+  rolling?: boolean;
+  /** A changed value re-throws the dice even when nothing else changed */
+  trigger?: unknown;
+}
+
+/** A die as the scene shows it, with every setting filled in */
+export interface SceneDie extends DieSpec {
+  color: number | string;
+  d6Style: 'numbers' | 'dots';
+  d4Style: 'faces' | 'vertices';
+  dropped?: boolean;
+}
+
+export interface OverlayPosition {
+  /** CSS percentage of the mount element's width / height */
+  left: string;
+  top: string;
+  result: number | string;
+  /** Face-labeled dice show their result on the die itself */
+  labeled: boolean;
+}
+
+export interface DiceOverlay {
+  dice: SceneDie[];
+  /** One per mesh (a percentile die has two), empty while there are no dice */
+  positions: OverlayPosition[];
+  /** Where each percentile pair's combined result goes */
+  pairs: { index: number; left: string; top: string; result: number | string }[];
+}
+
+export interface DiceSceneEvents {
+  rollstart: () => void;
+  diesettled: (event: DieSettledEvent) => void;
+  allsettled: (results: (number | string)[]) => void;
+  dieclick: (event: DieEvent) => void;
+  diehover: (event: DieEvent | null) => void;
+  diefocus: (event: DieEvent) => void;
+  busy: (busy: boolean) => void;
+  overlay: (overlay: DiceOverlay) => void;
+  /** The roll log as soon as the rest of the roll is known (`duration` is null); replays aren't logged */
+  rollplanned: (log: RollLog) => void;
+  /** After allsettled, with a log of the roll (replays aren't logged) */
+  rollrecorded: (log: RollLog) => void;
+}
+
+export declare class DiceScene {
+  /** `renderer`: draw through a shared DiceRenderer instead of a WebGL context of its own */
+  constructor(options?: DiceSceneUpdate & { renderer?: DiceRenderer });
+  options: Required<DiceSceneOptions>;
+  /** Current dice, with results set through roll() / setResults() applied */
+  readonly dice: SceneDie[];
+  /** Whether the dice are spinning or being thrown */
+  readonly busy: boolean;
+  /** Render into `element` (sized by its CSS) and start the render loop */
+  mount(element: HTMLElement): this;
+  /** Apply options and dice in one step; only keys present are applied */
+  update(props: DiceSceneUpdate): this;
+  setDice(dice: DiceSceneUpdate['dice'], props?: Omit<DiceSceneUpdate, 'dice'>): this;
+  setOptions(options: DiceSceneOptions): this;
+  /** Start spinning until settle() */
+  spin(): this;
+  /** Stop spinning and land on `results` (default: the current ones); resolves once every die is at rest */
+  settle(results?: (number | string)[]): Promise<(number | string)[]>;
+  /**
+   * Spin, then land on `results`; resolves once every die is at rest. Before mount() the dice take the
+   * results at once, and dispose() resolves a roll still in flight with the results it was landing on
+   */
+  roll(results?: (number | string)[], options?: RollOptionsHandle): Promise<(number | string)[]>;
+  setResults(results: (number | string)[]): void;
+  stop(): void;
+  /** Play a roll log back exactly; its dice are shown until the dice input changes. Settles like roll() */
+  replay(log: RollLog | string): Promise<(number | string)[]>;
+  toDataURL(type?: string, quality?: number): string;
+  toBlob(type?: string, quality?: number): Promise<Blob | null>;
+  /** Subscribe; returns a function that unsubscribes */
+  on<K extends keyof DiceSceneEvents>(type: K, listener: DiceSceneEvents[K]): () => void;
+  off<K extends keyof DiceSceneEvents>(type: K, listener: DiceSceneEvents[K]): void;
+  /** Stop rendering, release GPU resources, remove the canvas and all listeners */
+  dispose(): void;
+}
+
+export interface DiceRendererOptions {
+  /** Stacking order of the overlay canvas (default 10) */
+  zIndex?: number;
+  /** Device pixel ratio cap (default 2) */
+  pixelRatio?: number;
+}
+
+export interface DiceRendererView {
+  element: HTMLElement;
+  scene: import('three').Scene;
+  camera: import('three').Camera;
+  /** Called every frame before the draw, also while the element is off screen */
+  frame(time: number): void;
+}
+
+/**
+ * One WebGL context shared by many scenes, drawn onto a fixed click-through canvas
+ * over the page: each view is rendered into its element's rectangle
+ */
+export declare class DiceRenderer {
+  constructor(options?: DiceRendererOptions);
+  readonly options: Required<DiceRendererOptions>;
+  /** The overlay canvas (null while no view is attached) */
+  readonly domElement: HTMLCanvasElement | null;
+  /** Returns a function that detaches the view */
+  attach(view: DiceRendererView): () => void;
+  detach(view: DiceRendererView): void;
+  /** Draw `view` now into a canvas of its own; null when its element is off screen */
+  capture(view: DiceRendererView): HTMLCanvasElement | null;
+  /** Release the canvas and GL context (attaching a view starts them again) */
+  dispose(): void;
+}
+
+export interface DiceProviderProps extends DiceRendererOptions {
+  children?: ReactNode;
+}
+
+/** Renders every Dice3D inside it through one shared WebGL context */
+export declare function DiceProvider(props: DiceProviderProps): JSX.Element;
+export declare const DiceRendererContext: Context<DiceRenderer | null>;
+
+// --- Tray ---
+
+export interface TrayOptions {
+  /** Table texture (default 'felt') */
+  surface?: 'felt' | 'wood';
+  /** Table color (default green felt / brown wood) */
+  color?: number | string;
+  /** Wooden walls around the table's visible area (default false) */
+  walls?: boolean;
+  /** Dice cast soft shadows from the key light (default true) */
+  shadows?: boolean;
+}
+
+// --- Annotations ---
+
+export type AnnotationMark = 'crit' | 'fumble' | 'dropped';
+
+/** Whether a die gets a mark, from its settled result */
+export type AnnotationRule = (die: SceneDie, index: number, dice: SceneDie[]) => boolean;
+
+export interface Annotations {
+  /** Gold glow (default: natural 20 on a d20); false turns the mark off */
+  crit?: AnnotationRule | false;
+  /** Red tint (default: natural 1 on a d20) */
+  fumble?: AnnotationRule | false;
+  /** Ghosted die, left out of the total (default: `die.dropped`) */
+  dropped?: AnnotationRule | false;
+  /** Total badge over the canvas: true sums the kept numeric results (plus `modifier`), a function makes the text */
+  total?: boolean | ((dice: SceneDie[], marks: (AnnotationMark | null)[]) => number | string | null);
+  /** Added to the summed total and shown next to it */
+  modifier?: number;
+}
+
+/** Default crit / fumble / dropped rules */
+export declare const DEFAULT_ANNOTATIONS: { crit: AnnotationRule; fumble: AnnotationRule; dropped: AnnotationRule };
+/** Mark per die: dropped wins over crit, crit over fumble; all null when annotations are off */
+export declare function annotateDice(dice: SceneDie[], annotations: boolean | Annotations | undefined): (AnnotationMark | null)[];
+/** The total badge for `annotations.total`, or null without one */
+export declare function rollTotal(
+  dice: SceneDie[],
+  annotations: boolean | Annotations | undefined
+): { value: number | string; modifier: number } | null;
+
+// --- Roll logs ---
+
+/** [x, y, z, w] */
+export type QuaternionArray = [number, number, number, number];
+
+/** Everything needed to play a roll back exactly, as plain JSON */
+export interface RollLog {
+  version: number;
+  /** ISO time the roll started */
+  startedAt: string;
+  /** ms from the start of the roll until every die was at rest (null in 'rollplanned') */
+  duration: number | null;
+  /** The dice as rolled, as plain data: image faces are stored as URLs (a canvas as a data URL), ImageBitmaps as blank faces */
+  dice: SceneDie[];
+  results: (number | string)[];
+  /** Indices of held dice */
+  held: number[];
+  animationMode: 'full' | 'quick' | 'none';
+  /** Area the camera fit around */
+  area: { halfWidth: number; halfHeight: number } | null;
+  /** Per physical die at the start of the roll; rotation is an XYZ Euler in radians */
+  poses: { x: number; y: number; rotation: [number, number, number] }[];
+  /** ms the dice spun before landing */
+  spin: number;
+  /** Per physical die, the orientations the settle turned between */
+  settle: ({ from: QuaternionArray; to: QuaternionArray } | null)[] | null;
+  /** simulateRoll options of a physics throw, with the face numbers and held dice it ran with */
+  throw: (SimulateRollOptions & {
+    results: number[];
+    fixed: ({ x: number; y: number; quaternion: QuaternionArray } | null)[];
+  }) | null;
+}
+
+/** Read a roll log (object or JSON string); throws if it isn't one this version can replay */
+export declare function parseRollLog(input: RollLog | string): RollLog;
+/** Version written to new roll logs */
+export declare const ROLL_LOG_VERSION: number;
+
+// --- Roll sync ---
+
+export type DiceSyncMessage =
+  | { type: 'roll'; from: string; seq: number; log: RollLog }
+  | { type: 'hello'; from: string }
+  | { type: 'state'; from: string; to: string; seq: number; log: RollLog };
+
+/** Carries plain JSON messages between the clients of a table */
+export interface DiceSyncTransport {
+  send(message: DiceSyncMessage): void;
+  /** Returns a function that unsubscribes */
+  subscribe(listener: (message: DiceSyncMessage) => void): () => void;
+  close?(): void;
+}
+
+/** Sends a scene's rolls to the other clients and replays theirs on it; late joiners get the last roll at rest */
+export declare class DiceSync {
+  constructor(transport: DiceSyncTransport, options?: { id?: string | number });
+  /** This client's id (default: random) */
+  readonly id: string;
+  /** The last roll sent or received (null before the first) */
+  readonly last: RollLog | null;
+  /** Returns a function that detaches the scene */
+  attach(scene: DiceScene): () => void;
+  detach(): void;
+  /** Detach, stop listening and close the transport */
+  dispose(): void;
+}
+
+export interface MemoryHub {
+  /** A transport that hears every other transport of the hub */
+  connect(): DiceSyncTransport;
+}
+
+/** Transports for clients in the same page (tests, several tables on one screen) */
+export declare function createMemoryHub(): MemoryHub;
+/** Transport between tabs and windows of one origin */
+export declare function broadcastChannelTransport(name?: string): DiceSyncTransport;
+/** Transport over a WebSocket to a server that relays messages to the other clients; the socket stays the app's */
+export declare function webSocketTransport(socket: WebSocket): DiceSyncTransport;
+
+// --- Layouts ---
+
+export interface LayoutPoint {
+  x: number;
+  y: number;
+}
+
+export interface LayoutArea {
+  centers: LayoutPoint[];
+  halfWidth: number;
+  halfHeight: number;
+}
+
+/** One center per die in world units (dice are about 2 across), or the centers plus the area to fit */
+export type LayoutFunction = (dice: SceneDie[], options: { spacing: number }) => LayoutPoint[] | LayoutArea;
+
+export type LayoutSpec =
+  | { type: 'grid'; columns?: number; spacing?: number }
+  | { type: 'row'; spacing?: number }
+  | { type: 'circle'; spacing?: number }
+  /** Random non-overlapping spots; a seed keeps them the same */
+  | { type: 'scatter'; seed?: number | string; aspect?: number; spacing?: number }
+  /** Rows per die type, in order of first appearance */
+  | { type: 'grouped'; by?: 'sides' | 'color'; columns?: number; spacing?: number };
+
+export type LayoutProp = LayoutSpec['type'] | LayoutSpec | LayoutFunction;
+
+export interface DiceLayout extends LayoutArea {
+  /** One per physical die: a percentile pair sits side by side around its center */
+  positions: LayoutPoint[];
+}
+
+/** Place logical dice for a layout prop, centered on the origin */
+export declare function computeLayout(dice: SceneDie[], layout?: LayoutProp): DiceLayout;
+/** Default distance between neighbouring dice (2.8) */
+export declare const LAYOUT_SPACING: number;
+
 // --- Engine types ---
 
 export interface FaceData {
   centroid: import('three').Vector3;
   normal: import('three').Vector3;
   verts: import('three').Vector3[];
+  /** Explicit label up direction (D3, D30) */
+  up?: import('three').Vector3;
 }
 
 export declare const FACE_LABELED: Set<number>;
 export declare const LABEL_SIZE: Record<number, number>;
 export declare const SETTLE_SECS: number;
 export declare const D6_NUMBERS: number[];
+/** `sides` value rendered as a percentile pair (tens D10 + ones D10) */
+export declare const PERCENTILE_SIDES: 100;
+/** Largest trapezohedron; bigger even dice use an icosahedron with overlay numbers */
+export declare const MAX_TRAPEZOHEDRON_SIDES: 200;
+export declare const DICE_THEMES: Record<ThemePreset, DiceTheme>;
+export declare const DEFAULT_THEME: ThemePreset;
+/** Fill in a theme prop from its preset */
+export declare function resolveTheme(theme?: ThemeProp | null): DiceTheme;
+export declare function themeKey(theme?: ThemeProp | null): string;
+
+export interface BuildDieMeshOptions {
+  /** Relabel a D10 as the tens (00-90) or ones (0-9) die of a percentile pair */
+  percentile?: 'tens' | 'ones';
+  /** D4 label style: face-centered numbers (default) or corner numbers read at the top vertex */
+  d4Style?: 'faces' | 'vertices';
+  /** Custom face content: `faces[n - 1]` replaces number n */
+  faces?: FaceContent[];
+  /** Appearance preset or theme overrides (default 'plastic') */
+  theme?: ThemeProp;
+}
+
+export interface VertexNumber {
+  position: import('three').Vector3;
+  number: number;
+}
 
+/** Hex int for a color; unknown input is gray (with a warning outside production) */
 export declare function parseColor(color: number | string): number;
+export declare function parseColorAlpha(color: number | string): { color: number; alpha: number };
 export declare function clearTextureCache(): void;
-export declare function getNumTexture(num: number): import('three').CanvasTexture;
-export declare function getDotTexture(num: number): import('three').CanvasTexture;
+/** `size` is the canvas size in pixels (default 256) */
+export declare function getNumTexture(num: number | string, style?: LabelStyle | null, size?: number): import('three').CanvasTexture;
+export declare function getDotTexture(num: number, style?: LabelStyle | null): import('three').CanvasTexture;
+/** Cached texture for any face content; URL images fill in once loaded */
+export declare function getFaceTexture(content: FaceContent, style?: LabelStyle | null, size?: number):  import('three').CanvasTexture;
+export declare function faceContentKey(content: FaceContent): string;
+/** Face number for a numeric result or a face label; null if no face shows the label */
+export declare function faceNumberFor(result: number | string, faces?: FaceContent[]): number | null;
 export declare function createD10Geometry(radius: number): BufferGeometry;
+export declare function createTrapezohedronGeometry(radius: number, sides: number): BufferGeometry;
+export declare function createCoinGeometry(radius: number): BufferGeometry;
+export declare function createD3Geometry(radius: number): BufferGeometry;
+export declare function createD30Geometry(radius: number): BufferGeometry;
+export declare function isTrapezohedron(sides: number): boolean;
+export declare function isFaceLabeled(sides: number): boolean;
+export declare function labelSize(sides: number): number;
+/** Label texture size in pixels: 256, down to 64 on large trapezohedra */
+export declare function labelTextureSize(sides: number): number;
 export declare function createGeometry(sides: number): BufferGeometry;
 export declare function geomFaceCount(sides: number): number;
 export declare function computeFaces(geometry: BufferGeometry, numFaces: number): FaceData[];
 export declare function computeFaceNumbers(faces: FaceData[], sides: number): number[];
 export declare function faceSettleQuat(face: FaceData, sides: number): Quaternion;
-export declare function buildDieMesh(sides: number, color: number, d6Style?: string): Mesh;
-export declare function settleQuat(mesh: Mesh, result: number, sides: number): Quaternion | null;
+export declare function computeVertexNumbers(faces: FaceData[]): VertexNumber[];
+export declare function vertexSettleQuat(vertex: import('three').Vector3, faces: FaceData[]): Quaternion;
+export declare function buildDieMesh(
+  sides: number,
+  color: number | string,
+  d6Style?: string,
+  options?: BuildDieMeshOptions
+): Mesh;
+/** D10 face numbers (1-10, face 10 = digit 0) for the tens and ones dice showing a 1-100 result */
+export declare function splitPercentile(result: number): { tens: number; ones: number };
+export declare function settleQuat(mesh: Object3D, result: number | string, sides: number): Quaternion | null;
+
+export interface DieInspection {
+  sides: number;
+  /** False for dice drawn with overlay numbers; every check is then null */
+  labeled: boolean;
+  /** No problems found */
+  ok: boolean;
+  /** Logical faces found on the geometry */
+  faces: { expected: number; count: number; ok: boolean } | null;
+  /** Numbers 1..N that no face (or D4 corner) shows, and ones shown more than once or out of range */
+  numbers: { missing: number[]; duplicates: number[]; ok: boolean } | null;
+  /** Each face with the face opposite it; null for D3 and D4 */
+  opposites: { sum: number; pairs: { number: number; opposite: number; sum: number }[]; ok: boolean } | null;
+  /** Per number: radians the settled face (or vertex) is off +Z, and its label off upright */
+  settle: { results: { number: number; tilt: number | null; roll: number | null; ok: boolean }[]; ok: boolean } | null;
+  /** Face areas, and the gap between the smallest and largest as a fraction of the mean */
+  areas: { values: number[]; spread: number; ok: boolean } | null;
+  /** What failed, as sentences */
+  problems: string[];
+}
+
+/** Check a built-in shape (by side count) or a die mesh: face count, numbering, opposite sums, settle poses, face areas */
+export declare function inspectDie(die: number | Object3D, options?: { d4Style?: 'faces' | 'vertices' }): DieInspection;
+
+export interface LabelAtlas {
+  texture: import('three').CanvasTexture;
+  /** Width and height of a cell in UV units */
+  cellSize: number;
+  /** Bottom-left UV of each label's cell: '1'-'30', '00'-'90', '0' and 'dot-1'-'dot-6' */
+  cells: Map<string, [number, number]>;
+}
+
+/** Every built-in number and pip in one cached texture; numbers use `style`, pips `pipStyle` */
+export declare function getLabelAtlas(style?: LabelStyle | null, pipStyle?: LabelStyle | null): LabelAtlas;
+
+export interface PoolDie extends BuildDieMeshOptions {
+  sides: number;
+  color: number | string;
+  d6Style?: 'numbers' | 'dots';
+}
+
+/**
+ * Draws many dice in a few draw calls: instanced bodies and labels (from the label
+ * atlas) and merged edges. Move the objects in `dice`, then call update() before rendering.
+ */
+export declare class DicePool {
+  constructor(dice: PoolDie[]);
+  /** Add this to the scene */
+  readonly group: Group;
+  /** One transform per die, with buildDieMesh's userData; dice with custom faces are real meshes */
+  readonly dice: Object3D[];
+  /** Copy the transforms in `dice` into the instance buffers */
+  update(): void;
+  /** Blend a die's body color toward `tint`; null restores it */
+  setTint(index: number, tint: number | null): void;
+  /** Body geometry of a die (shared by every die of its shape) */
+  geometryOf(index: number): BufferGeometry;
+  /** Meshes drawing the dice bodies, e.g. to cast shadows */
+  readonly bodies: Mesh[];
+  /** Index in `dice` of the die a raycaster hit on `group` belongs to, or -1 */
+  indexOf(hit: Intersection): number;
+  /** Draw calls one render of the pool issues */
+  readonly drawCalls: number;
+  dispose(): void;
+}
+
+// --- Dice notation ---
+
+export interface CompareSpec {
+  op: '=' | '<' | '>' | '<=' | '>=';
+  value: number;
+}
+
+export type NotationModifier =
+  | { type: 'keep' | 'drop'; which: 'highest' | 'lowest'; count: number }
+  | { type: 'explode'; compare: CompareSpec }
+  | { type: 'reroll'; once: boolean; compare: CompareSpec };
+
+export interface DiceTerm {
+  type: 'dice';
+  sign: 1 | -1;
+  count: number;
+  sides: number;
+  fudge: boolean;
+  notation: string;
+  modifiers: NotationModifier[];
+}
+
+export interface ConstantTerm {
+  type: 'constant';
+  sign: 1 | -1;
+  value: number;
+  notation: string;
+}
+
+export interface ParsedNotation {
+  notation: string;
+  terms: (DiceTerm | ConstantTerm)[];
+}
+
+export interface RolledDie {
+  sides: number;
+  /** Face value (Fudge dice: -1, 0 or 1) */
+  value: number;
+  kept: boolean;
+  dropped: boolean;
+  /** This die triggered an explosion (the next die in the list is its bonus roll) */
+  exploded: boolean;
+  /** Values discarded by reroll modifiers, in order */
+  rerolled: number[];
+  fromExplosion?: boolean;
+  fudge?: boolean;
+}
+
+export interface RolledDiceTerm extends DiceTerm {
+  dice: RolledDie[];
+  subtotal: number;
+}
+
+export interface RolledConstantTerm extends ConstantTerm {
+  subtotal: number;
+}
+
+export interface NotationRoll {
+  notation: string;
+  terms: (RolledDiceTerm | RolledConstantTerm)[];
+  total: number;
+}
+
+export interface RollOptions {
+  /** Random source returning [0, 1). Defaults to Math.random */
+  rng?: () => number;
+}
+
+export declare function parseNotation(notation: string): ParsedNotation;
+export declare function rollNotation(notation: string | ParsedNotation, options?: RollOptions): NotationRoll;
+/** Fudge die faces for d3 rendering: minus, blank, plus */
+export declare const FUDGE_FACES: string[];
+/** Screen-reader summary: "Rolled 1d20 and 2d6: 17, 3 and 5, total 25" */
+export declare function describeRoll(dice: AnnouncedDie[]): string;
+export declare function rollToDice(roll: NotationRoll): (DieSpec & { dropped: boolean })[];
+
+export declare function createRng(seed?: number | string): () => number;
+export declare function hashSeed(str: string): number;
+export declare function randomSeed(): number;
+
+// --- Physics ---
+
+/** A die that stays where it is, resting on the table (held dice) */
+export interface FixedDie {
+  x: number;
+  y: number;
+  quaternion: Quaternion;
+}
+
+export interface SimulateRollOptions extends PhysicsOptions {
+  /** Tray walls around the origin (default 5 x 3) */
+  bounds?: { halfWidth: number; halfHeight: number };
+  /** Release points per die (default: spread along the left wall) */
+  starts?: { x: number; y: number }[];
+  /** Throw velocity (default: seeded, toward +x) */
+  velocity?: { x: number; y: number };
+  /** Main spin axis, e.g. the rolling axis of a flick (default: seeded random) */
+  spinAxis?: { x: number; y: number; z?: number };
+}
+
+export interface RollTrack {
+  sides: number;
+  result: number;
+  /** xyz per frame */
+  positions: Float32Array;
+  /** xyzw per frame */
+  quaternions: Float32Array;
+  /** Face index on top before re-basing, -1 for unlabeled dice */
+  landedFace: number;
+}
+
+export interface RollSimulation {
+  duration: number;
+  frameTime: number;
+  frameCount: number;
+  tracks: RollTrack[];
+}
+
+export declare function simulateRoll(
+  dice: { sides: number; result: number; d4Style?: 'faces' | 'vertices'; fixed?: FixedDie }[],
+  options?: SimulateRollOptions
+): RollSimulation;
+export declare function sampleTrack(
+  sim: RollSimulation,
+  track: RollTrack,
+  t: number,
+  position: import('three').Vector3,
+  quaternion: Quaternion
+): boolean;
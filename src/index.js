@@ -2,22 +2,64 @@
 export { default } from './Dice3D.jsx';
 export { default as Dice3D } from './Dice3D.jsx';
 
+// One WebGL context for many Dice3D instances
+export { DiceProvider, DiceRendererContext } from './DiceProvider.jsx';
+
+// Framework-agnostic renderer behind Dice3D (vanilla JS, Vue, Svelte, ...)
+export { DiceScene } from './DiceScene.js';
+export { DiceRenderer } from './DiceRenderer.js';
+export { DicePool } from './instancing.js';
+export { computeLayout, LAYOUT_SPACING } from './layouts.js';
+export { parseRollLog, ROLL_LOG_VERSION } from './rollLog.js';
+export { annotateDice, rollTotal, DEFAULT_ANNOTATIONS } from './annotations.js';
+export { DiceSync, createMemoryHub, broadcastChannelTransport, webSocketTransport } from './sync.js';
+
 // Engine utilities for advanced usage (custom Three.js scenes, etc.)
 export {
   parseColor,
+  parseColorAlpha,
   clearTextureCache,
   getNumTexture,
   getDotTexture,
+  getLabelAtlas,
+  getFaceTexture,
+  faceContentKey,
+  faceNumberFor,
   createD10Geometry,
+  createTrapezohedronGeometry,
+  createCoinGeometry,
+  createD3Geometry,
+  createD30Geometry,
   createGeometry,
+  isTrapezohedron,
+  isFaceLabeled,
+  labelSize,
+  labelTextureSize,
   geomFaceCount,
   computeFaces,
   computeFaceNumbers,
   faceSettleQuat,
+  computeVertexNumbers,
+  vertexSettleQuat,
   buildDieMesh,
   settleQuat,
+  splitPercentile,
   FACE_LABELED,
   LABEL_SIZE,
   SETTLE_SECS,
   D6_NUMBERS,
+  PERCENTILE_SIDES,
+  MAX_TRAPEZOHEDRON_SIDES,
+  DICE_THEMES,
+  DEFAULT_THEME,
+  resolveTheme,
+  themeKey,
 } from './diceEngine.js';
+export { inspectDie } from './inspect.js';
+
+// Dice notation parsing and rolling
+export { parseNotation, rollNotation, rollToDice, describeRoll, FUDGE_FACES } from './notation.js';
+export { createRng, hashSeed, randomSeed } from './random.js';
+
+// Seeded rigid-body throw simulation
+export { simulateRoll, sampleTrack } from './physics.js';
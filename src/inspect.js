@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import { createGeometry, dieLabelLayout, geomFaceCount, isFaceLabeled, settleQuat } from './diceEngine.js';
+
+// --- Die inspector: geometry, numbering and settle checks for a die ---
+
+/** Largest angle (radians) a settled face or vertex may be off +Z, or its label off upright */
+const ANGLE_TOLERANCE = 1e-3;
+/** Largest spread between the smallest and largest face, as a fraction of the mean area */
+const AREA_TOLERANCE = 0.01;
+/** Normals closer to exactly opposite than this count as tied for the opposite face */
+const OPPOSITE_TIE = 1e-4;
+/** D3 and D4 faces look onto an edge or a corner, so they have no opposite face to sum with */
+const NO_OPPOSITES = new Set([3, 4]);
+
+/** Geometry, settle metadata and label placements of a die given as a side count or a mesh */
+function dieParts(die, d4Style) {
+  if (typeof die === 'number') {
+    const geometry = createGeometry(die);
+    const layout = isFaceLabeled(die) ? dieLabelLayout(geometry, die, d4Style) : null;
+    return { sides: die, geometry, userData: layout ? layout.userData : {}, labels: layout ? layout.labels : [], own: true };
+  }
+  const { userData } = die;
+  const pool = userData.pool;
+  const geometry = pool ? pool.geometryOf(userData.poolIndex) : die.geometry;
+  // A built die carries its label planes; a pooled die draws the layout of its shape
+  let labels = die.children.filter(c => c.isMesh && c.geometry.type === 'PlaneGeometry');
+  if (labels.length === 0 && userData.faces && geometry) {
+    labels = dieLabelLayout(geometry, userData.sides, userData.vertexNumbers ? 'vertices' : 'faces').labels;
+  }
+  return { sides: userData.sides, geometry, userData, labels, own: false };
+}
+
+/** Area of the geometry's triangles that lie in each face's plane */
+function faceAreas(geometry, faces) {
+  const pos = geometry.getAttribute('position');
+  const index = geometry.index;
+  const count = index ? index.count : pos.count;
+  const at = i => (index ? index.getX(i) : i);
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+  const n = new THREE.Vector3(), mid = new THREE.Vector3(), ab = new THREE.Vector3(), ac = new THREE.Vector3();
+  const areas = faces.map(() => 0);
+  for (let t = 0; t + 2 < count; t += 3) {
+    a.fromBufferAttribute(pos, at(t));
+    b.fromBufferAttribute(pos, at(t + 1));
+    c.fromBufferAttribute(pos, at(t + 2));
+    n.crossVectors(ab.subVectors(b, a), ac.subVectors(c, a));
+    const area = n.length() / 2;
+    if (area < 1e-9) continue;
+    n.normalize();
+    mid.copy(a).add(b).add(c).divideScalar(3);
+    faces.forEach((f, i) => {
+      if (Math.abs(n.dot(f.normal)) > 0.999 && Math.abs(mid.clone().sub(f.centroid).dot(f.normal)) < 1e-3) areas[i] += area;
+    });
+  }
+  return areas;
+}
+
+/** How far (radians) a label turned by `q` is from reading upright, seen from +Z */
+function labelRoll(label, q) {
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(label.quaternion).applyQuaternion(q);
+  return Math.abs(Math.atan2(up.x, up.y));
+}
+
+/**
+ * Check a die's geometry and numbering: `die` is a side count (checks the
+ * built-in shape) or a mesh from buildDieMesh (or a DicePool die). Reports
+ *   faces     - { expected, count, ok }: logical faces found on the geometry
+ *   numbers   - { missing, duplicates, ok }: every number 1..N read exactly once
+ *               (the corner numbers of a vertex-reading D4)
+ *   opposites - { sum, pairs: [{ number, opposite, sum }], ok }: each face plus the face
+ *               opposite it makes N + 1; null for D3 and D4, which have no opposite faces
+ *   settle    - { results: [{ number, tilt, roll, ok }], ok }: settleQuat turns the face
+ *               (or vertex) to +Z, `tilt` radians off, with its label `roll` radians off upright
+ *   areas     - { values, spread, ok }: face areas, and their spread as a fraction of the mean
+ *   problems  - What failed, as sentences; `ok` is true when there are none
+ * Dice without face labels (overlay numbers) report `labeled: false` and no checks.
+ * `options.d4Style` picks the D4 numbering for a side count.
+ */
+export function inspectDie(die, options = {}) {
+  const { sides, geometry, userData, labels, own } = dieParts(die, options.d4Style);
+  const report = {
+    sides,
+    labeled: isFaceLabeled(sides),
+    ok: true,
+    faces: null,
+    numbers: null,
+    opposites: null,
+    settle: null,
+    areas: null,
+    problems: [],
+  };
+  const problems = report.problems;
+  const faces = userData.faces;
+  if (!report.labeled) {
+    if (own) geometry.dispose();
+    return report;
+  }
+  if (!faces || !geometry) {
+    problems.push('No face data: build the die with buildDieMesh');
+    report.ok = false;
+    return report;
+  }
+
+  // --- Faces ---
+  const expected = geomFaceCount(sides);
+  report.faces = { expected, count: faces.length, ok: faces.length === expected };
+  if (!report.faces.ok) problems.push(`Found ${faces.length} faces, expected ${expected}`);
+
+  // --- Numbers: what the player reads (face numbers, or corner numbers on a vertex-reading D4) ---
+  const vertexNumbers = userData.vertexNumbers;
+  const read = vertexNumbers ? vertexNumbers.map(v => v.number) : userData.faceNumbers || [];
+  const counts = new Map();
+  read.forEach(num => counts.set(num, (counts.get(num) || 0) + 1));
+  const missing = [];
+  for (let num = 1; num <= sides; num++) if (!counts.has(num)) missing.push(num);
+  const duplicates = [...counts].filter(([num, k]) => k > 1 || !(num >= 1 && num <= sides)).map(([num]) => num);
+  report.numbers = { missing, duplicates, ok: missing.length === 0 && duplicates.length === 0 };
+  if (missing.length) problems.push(`Missing number${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+  duplicates.forEach(num => problems.push(`Number ${num} is on ${counts.get(num)} ${vertexNumbers ? 'corners' : 'faces'}`));
+
+  // --- Opposite faces sum to N + 1 (with ties, as on even trapezohedra, any of the tied faces) ---
+  const faceNumbers = userData.faceNumbers || [];
+  if (!NO_OPPOSITES.has(sides)) {
+    const sum = sides + 1;
+    const pairs = faces.map((f, i) => {
+      const dots = faces.map((g, j) => (j === i ? Infinity : f.normal.dot(g.normal)));
+      const least = Math.min(...dots);
+      const tied = dots.map((d, j) => j).filter(j => dots[j] <= least + OPPOSITE_TIE);
+      const j = tied.find(k => faceNumbers[i] + faceNumbers[k] === sum);
+      const opposite = faceNumbers[j != null ? j : tied[0]];
+      return { number: faceNumbers[i], opposite, sum: faceNumbers[i] + opposite };
+    }).sort((p, q) => p.number - q.number);
+    const wrong = pairs.filter(p => p.sum !== sum);
+    report.opposites = { sum, pairs, ok: wrong.length === 0 };
+    wrong.forEach(p => problems.push(`${p.number} is opposite ${p.opposite}: sums to ${p.sum}, expected ${sum}`));
+  }
+
+  // --- Settle: the face (or vertex) showing the number ends up facing +Z with its label upright ---
+  const z = new THREE.Vector3(0, 0, 1);
+  const target = { userData };
+  const results = [];
+  for (let num = 1; num <= sides; num++) {
+    const q = settleQuat(target, num, sides);
+    if (!q) {
+      results.push({ number: num, tilt: null, roll: null, ok: false });
+      problems.push(`No settle pose for ${num}`);
+      continue;
+    }
+    // Where the number is drawn, not where the lookup tables say it is
+    let point, near;
+    const vertex = vertexNumbers && vertexNumbers.find(v => v.number === num);
+    const face = !vertexNumbers && faces[faceNumbers.indexOf(num)];
+    if (vertex) {
+      // Corner labels around the vertex: the one on the face below it reads upright
+      point = vertex.position;
+      near = labels.slice().sort((l, m) => l.position.distanceTo(point) - m.position.distanceTo(point)).slice(0, 3);
+    } else if (face) {
+      point = face.normal;
+      near = labels.slice().sort((l, m) => l.position.distanceTo(face.centroid) - m.position.distanceTo(face.centroid)).slice(0, 1);
+    } else {
+      // Missing numbers are reported above
+      results.push({ number: num, tilt: null, roll: null, ok: false });
+      continue;
+    }
+    const tilt = point.clone().normalize().applyQuaternion(q).angleTo(z);
+    const roll = near.length ? Math.min(...near.map(l => labelRoll(l, q))) : null;
+    const ok = tilt <= ANGLE_TOLERANCE && roll != null && roll <= ANGLE_TOLERANCE;
+    results.push({ number: num, tilt, roll, ok });
+    if (tilt > ANGLE_TOLERANCE) problems.push(`Settling on ${num} leaves it ${THREE.MathUtils.radToDeg(tilt).toFixed(2)}° off the camera`);
+    if (roll == null) problems.push(`No label for ${num}`);
+    else if (roll > ANGLE_TOLERANCE) problems.push(`Settling on ${num} leaves its label ${THREE.MathUtils.radToDeg(roll).toFixed(2)}° off upright`);
+  }
+  report.settle = { results, ok: results.every(r => r.ok) };
+
+  // --- Face areas: a fair die's faces are the same size ---
+  const values = faceAreas(geometry, faces);
+  const mean = values.reduce((a, v) => a + v, 0) / Math.max(values.length, 1);
+  const spread = mean > 0 ? (Math.max(...values) - Math.min(...values)) / mean : Infinity;
+  report.areas = { values, spread, ok: spread <= AREA_TOLERANCE && values.every(v => v > 0) };
+  values.forEach((v, i) => {
+    if (v <= 0) problems.push(`Face ${i} (number ${faceNumbers[i]}) has no area on the geometry`);
+  });
+  if (Number.isFinite(spread) && spread > AREA_TOLERANCE) problems.push(`Face areas differ by ${(spread * 100).toFixed(1)}% of the mean`);
+
+  if (own) geometry.dispose();
+  report.ok = problems.length === 0;
+  return report;
+}
@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+import {
+  createGeometry,
+  createBodyMaterial,
+  buildDieMesh,
+  dieLabelLayout,
+  getLabelAtlas,
+  isFaceLabeled,
+  labelStyle,
+  parseColorAlpha,
+  percentileLabel,
+  resolveTheme,
+  themeKey,
+} from './diceEngine.js';
+
+/** How far a tinted (held / hovered) die's body color moves toward the tint */
+const TINT_MIX = 0.35;
+
+// Unlit label quads reading their cell of the atlas; atlasCell is the cell's bottom-left UV
+const LABEL_VERTEX = `
+attribute vec2 atlasCell;
+uniform float cellSize;
+varying vec2 vUv;
+void main() {
+  vUv = atlasCell + uv * cellSize;
+  gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+}`;
+
+const LABEL_FRAGMENT = `
+uniform sampler2D map;
+varying vec2 vUv;
+void main() {
+  vec4 texel = texture2D(map, vUv);
+  if (texel.a < 0.01) discard;
+  gl_FragColor = linearToOutputTexel(texel);
+}`;
+
+/** The label atlas holds the numbers 1-30 (see getLabelAtlas) */
+const ATLAS_MAX_NUMBER = 30;
+
+/** Atlas cell name for face number `num` of a die ('7', '00', 'dot-3') */
+function atlasLabel(num, d) {
+  if (d.sides === 6 && d.d6Style === 'dots') return `dot-${num}`;
+  if (d.sides === 10 && d.percentile) return percentileLabel(num, d.percentile);
+  return String(num);
+}
+
+function edgeThreshold(sides) {
+  return sides === 2 || sides === 3 ? 25 : 1;
+}
+
+/**
+ * DicePool -- draws a large pool of dice in a handful of draw calls. Built
+ * meshes (buildDieMesh) cost one draw call per body, edge set and face label,
+ * so 60d6 is ~480 calls; a pool shares one geometry per die shape and draws
+ *   - bodies as one InstancedMesh per shape / theme / opacity (color per instance)
+ *   - every face label as one InstancedMesh of quads reading a label atlas (getLabelAtlas)
+ *   - edges as one merged LineSegments per edge color
+ * which is 3 calls for 60d6.
+ *
+ * Each die is driven through a plain Object3D in `pool.dice`: move, turn and
+ * scale it as if it were a built mesh (its userData carries the same settle
+ * metadata, so settleQuat works on it), then call update() before rendering.
+ * Dice with custom face content, or labeled faces past 30 (large trapezohedra),
+ * can't use the atlas and are built with buildDieMesh instead; their entry in
+ * `pool.dice` is that mesh.
+ *
+ *   const pool = new DicePool(dice.map(d => ({ sides: 6, color: '#e11d48' })));
+ *   scene.add(pool.group);
+ *   pool.dice[0].quaternion.copy(settleQuat(pool.dice[0], 4, 6));
+ *   pool.update();
+ *
+ * Dice are { sides, color, d6Style?, d4Style?, percentile?, faces?, theme? },
+ * as buildDieMesh takes them.
+ */
+export class DicePool {
+  constructor(dice) {
+    this.group = new THREE.Group();
+    this.dice = [];
+    this._slots = [];
+    this._bodies = new Map();
+    this._labels = new Map();
+    this._edges = new Map();
+    this._shapes = new Map();
+    this._geometries = [];
+
+    dice.forEach((d, i) => {
+      const content = d.faces && !d.percentile ? d.faces : null;
+      if (content || (isFaceLabeled(d.sides) && d.sides > ATLAS_MAX_NUMBER)) {
+        const mesh = buildDieMesh(d.sides, d.color, d.d6Style, d);
+        this.dice.push(mesh);
+        this._slots.push(null);
+        this.group.add(mesh);
+        return;
+      }
+      const shape = this._shape(d.sides, d.d4Style);
+      const theme = resolveTheme(d.theme);
+      const { color, alpha } = parseColorAlpha(d.color);
+      const proxy = new THREE.Object3D();
+      proxy.userData = { sides: d.sides, ...shape.userData, pool: this, poolIndex: i };
+      if (d.percentile) proxy.userData.percentile = d.percentile;
+      this.dice.push(proxy);
+      this.group.add(proxy);
+
+      const bodyKey = `${d.sides}|${themeKey(d.theme)}|${alpha}`;
+      if (!this._bodies.has(bodyKey)) {
+        this._bodies.set(bodyKey, { geometry: shape.geometry, material: createBodyMaterial(d.color, theme, d.sides), dice: [] });
+      }
+      const body = this._bodies.get(bodyKey);
+      this._slots.push({ body, instance: body.dice.length, color: new THREE.Color(color) });
+      body.dice.push(i);
+
+      if (shape.labels.length) {
+        const atlas = getLabelAtlas(labelStyle(theme, theme.labelColor), labelStyle(theme, theme.pipColor));
+        if (!this._labels.has(atlas)) this._labels.set(atlas, []);
+        const labels = this._labels.get(atlas);
+        shape.labels.forEach(l => {
+          const local = new THREE.Matrix4().compose(l.position, l.quaternion, new THREE.Vector3(l.size, l.size, 1));
+          labels.push({ die: i, local, cell: atlas.cells.get(atlasLabel(l.number, d)) });
+        });
+      }
+
+      if (theme.edges) {
+        const edge = parseColorAlpha(theme.edgeColor);
+        const edgeKey = `${edge.color}:${theme.edgeOpacity * edge.alpha}`;
+        if (!this._edges.has(edgeKey)) this._edges.set(edgeKey, { color: edge.color, opacity: theme.edgeOpacity * edge.alpha, dice: [] });
+        this._edges.get(edgeKey).dice.push({ die: i, base: shape.edges });
+      }
+    });
+
+    this._buildBodies();
+    this._buildLabels();
+    this._buildEdges();
+    this.update();
+  }
+
+  /** Shared geometry, label layout and edge vertices for one die shape */
+  _shape(sides, d4Style) {
+    const key = sides === 4 && d4Style === 'vertices' ? '4v' : String(sides);
+    if (this._shapes.has(key)) return this._shapes.get(key);
+    const geometry = createGeometry(sides);
+    this._geometries.push(geometry);
+    const layout = isFaceLabeled(sides) ? dieLabelLayout(geometry, sides, d4Style) : { userData: {}, labels: [] };
+    const eg = new THREE.EdgesGeometry(geometry, edgeThreshold(sides));
+    const edges = eg.attributes.position.array.slice();
+    eg.dispose();
+    const shape = { geometry, userData: layout.userData, labels: layout.labels, edges };
+    this._shapes.set(key, shape);
+    return shape;
+  }
+
+  _buildBodies() {
+    this._bodies.forEach(body => {
+      body.material.color.setHex(0xffffff);
+      const mesh = new THREE.InstancedMesh(body.geometry, body.material, body.dice.length);
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      mesh.frustumCulled = false;
+      mesh.userData.dice = body.dice;
+      body.dice.forEach((die, k) => mesh.setColorAt(k, this._slots[die].color));
+      body.mesh = mesh;
+      this.group.add(mesh);
+    });
+  }
+
+  _buildLabels() {
+    this._labels.forEach((labels, atlas) => {
+      const geometry = new THREE.PlaneGeometry(1, 1);
+      const cells = new Float32Array(labels.length * 2);
+      labels.forEach((l, k) => cells.set(l.cell, k * 2));
+      geometry.setAttribute('atlasCell', new THREE.InstancedBufferAttribute(cells, 2));
+      const material = new THREE.ShaderMaterial({
+        uniforms: { map: { value: atlas.texture }, cellSize: { value: atlas.cellSize } },
+        vertexShader: LABEL_VERTEX,
+        fragmentShader: LABEL_FRAGMENT,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+      });
+      const mesh = new THREE.InstancedMesh(geometry, material, labels.length);
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      mesh.frustumCulled = false;
+      mesh.raycast = () => {};
+      labels.mesh = mesh;
+      this.group.add(mesh);
+    });
+  }
+
+  _buildEdges() {
+    this._edges.forEach(set => {
+      const size = set.dice.reduce((n, e) => n + e.base.length, 0);
+      const geometry = new THREE.BufferGeometry();
+      const position = new THREE.BufferAttribute(new Float32Array(size), 3);
+      position.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute('position', position);
+      const material = new THREE.LineBasicMaterial({ color: set.color, transparent: true, opacity: set.opacity });
+      const lines = new THREE.LineSegments(geometry, material);
+      lines.frustumCulled = false;
+      lines.raycast = () => {};
+      set.lines = lines;
+      this.group.add(lines);
+    });
+  }
+
+  /** Copy every die's position / rotation / scale into the instance buffers */
+  update() {
+    this.dice.forEach((die, i) => { if (this._slots[i]) die.updateMatrix(); });
+    const m = new THREE.Matrix4();
+    this._bodies.forEach(body => {
+      body.dice.forEach((die, k) => body.mesh.setMatrixAt(k, this.dice[die].matrix));
+      body.mesh.instanceMatrix.needsUpdate = true;
+      // Raycasts use the bounds of the current instance placement
+      body.mesh.boundingSphere = null;
+    });
+    this._labels.forEach(labels => {
+      labels.forEach((l, k) => labels.mesh.setMatrixAt(k, m.multiplyMatrices(this.dice[l.die].matrix, l.local)));
+      labels.mesh.instanceMatrix.needsUpdate = true;
+    });
+    const v = new THREE.Vector3();
+    this._edges.forEach(set => {
+      const out = set.lines.geometry.attributes.position;
+      let o = 0;
+      set.dice.forEach(({ die, base }) => {
+        const matrix = this.dice[die].matrix;
+        for (let j = 0; j < base.length; j += 3, o++) {
+          v.set(base[j], base[j + 1], base[j + 2]).applyMatrix4(matrix);
+          out.setXYZ(o, v.x, v.y, v.z);
+        }
+      });
+      out.needsUpdate = true;
+    });
+  }
+
+  /** Blend die `index`'s body color toward `tint` (a hex number); null restores it */
+  setTint(index, tint) {
+    const slot = this._slots[index];
+    if (!slot) return;
+    const color = tint == null ? slot.color : slot.color.clone().lerp(new THREE.Color(tint), TINT_MIX);
+    slot.body.mesh.setColorAt(slot.instance, color);
+    slot.body.mesh.instanceColor.needsUpdate = true;
+  }
+
+  /** Body geometry of die `index` (shared by every die of its shape) */
+  geometryOf(index) {
+    const slot = this._slots[index];
+    return slot ? slot.body.geometry : this.dice[index].geometry;
+  }
+
+  /** Meshes drawing the dice bodies (instanced, plus any built dice), e.g. to cast shadows */
+  get bodies() {
+    const out = [];
+    this._bodies.forEach(body => out.push(body.mesh));
+    this.dice.forEach((die, i) => { if (!this._slots[i]) out.push(die); });
+    return out;
+  }
+
+  /** Index in `dice` of the die a raycaster intersection hit, or -1 */
+  indexOf(hit) {
+    const ids = hit.object.userData.dice;
+    if (ids && hit.instanceId != null) return ids[hit.instanceId];
+    for (let o = hit.object; o; o = o.parent) {
+      const i = this.dice.indexOf(o);
+      if (i >= 0) return i;
+    }
+    return -1;
+  }
+
+  /** Number of draw calls one render of the pool issues */
+  get drawCalls() {
+    let calls = this._bodies.size + this._labels.size + this._edges.size;
+    this.dice.forEach((die, i) => {
+      if (!this._slots[i]) die.traverseVisible(o => { if (o.isMesh || o.isLine) calls++; });
+    });
+    return calls;
+  }
+
+  /** Remove the pool from its parent and free its GPU resources (the atlas stays cached) */
+  dispose() {
+    this.group.removeFromParent();
+    this.group.traverse(o => {
+      if (o.isInstancedMesh && o.dispose) o.dispose();
+      if (o.material) o.material.dispose();
+      if (o.geometry && !this._geometries.includes(o.geometry)) o.geometry.dispose();
+    });
+    this._geometries.forEach(g => g.dispose());
+  }
+}
@@ -0,0 +1,202 @@
+import { PERCENTILE_SIDES } from './diceEngine.js';
+import { createRng, randomSeed } from './random.js';
+
+// --- Dice layouts ---
+
+/** Distance between neighbouring dice in world units (a die is about 2 across) */
+export const LAYOUT_SPACING = 2.8;
+/** Distance between the two dice of a percentile pair */
+const PAIR_SPACING = 2.3;
+const GRID_COLUMNS = 5;
+/** Extra space between the groups of the 'grouped' layout, in spacings */
+const GROUP_GAP = 0.35;
+/** Tray area per die for 'scatter', in square spacings (about 45% covered) */
+const SCATTER_ROOM = 2.2;
+const SCATTER_TRIES = 100;
+
+/** Cells a die takes: a percentile pair is two dice side by side */
+function cellWidth(d) {
+  return d.sides === PERCENTILE_SIDES ? 2 : 1;
+}
+
+/** Split dice (by index) into rows of at most `columns` cells */
+function wrapRows(indices, widths, columns) {
+  const rows = [];
+  let row = null;
+  indices.forEach(i => {
+    if (!row || row.width + widths[i] > columns) {
+      row = { items: [], width: 0 };
+      rows.push(row);
+    }
+    row.items.push(i);
+    row.width += widths[i];
+  });
+  return rows;
+}
+
+/** Centered rows, top to bottom; `gaps[r]` adds space above row r */
+function placeRows(rows, widths, spacing, gaps = []) {
+  const centers = [];
+  let y = 0;
+  rows.forEach((r, ri) => {
+    y -= (ri > 0 ? spacing : 0) + (gaps[ri] || 0) * spacing;
+    let u = -r.width / 2;
+    r.items.forEach(i => {
+      centers[i] = { x: (u + widths[i] / 2) * spacing, y };
+      u += widths[i];
+    });
+  });
+  return centers;
+}
+
+/**
+ * Built-in layouts: (dice, widths, options) => one { x, y } center per die,
+ * or { centers, halfWidth, halfHeight } to set the area to fit explicitly.
+ */
+const LAYOUTS = {
+  /** Centered rows of at most `columns` cells (default 5) */
+  grid(dice, widths, { spacing, columns = GRID_COLUMNS }) {
+    return placeRows(wrapRows(dice.map((d, i) => i), widths, Math.max(1, columns)), widths, spacing);
+  },
+
+  /** One row */
+  row(dice, widths, { spacing }) {
+    return placeRows(wrapRows(dice.map((d, i) => i), widths, Infinity), widths, spacing);
+  },
+
+  /** A ring, clockwise from the top, wide enough that neighbours keep `spacing` apart */
+  circle(dice, widths, { spacing }) {
+    if (dice.length === 1) return [{ x: 0, y: 0 }];
+    const total = widths.reduce((a, w) => a + w, 0);
+    let radius = 0;
+    widths.forEach((w, i) => {
+      const next = widths[(i + 1) % widths.length];
+      const half = (Math.PI * (w + next)) / (2 * total);
+      radius = Math.max(radius, (spacing * (w + next)) / 2 / (2 * Math.sin(Math.min(half, Math.PI / 2))));
+    });
+    let cells = 0;
+    return widths.map(w => {
+      const angle = Math.PI / 2 - (2 * Math.PI * (cells + w / 2)) / total;
+      cells += w;
+      return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+    });
+  },
+
+  /**
+   * Random non-overlapping spots in a tray sized to the pool. Pass `seed` for
+   * the same spots every time; the tray size only depends on the dice.
+   */
+  scatter(dice, widths, { spacing, seed, aspect = 1.6 }) {
+    const rng = createRng(seed != null ? seed : randomSeed());
+    const cells = widths.reduce((a, w) => a + w, 0);
+    const area = cells * SCATTER_ROOM * spacing * spacing;
+    let halfWidth = Math.max(Math.sqrt(area * aspect), Math.max(...widths) * spacing) / 2;
+    let halfHeight = Math.max(area / (halfWidth * 2), spacing) / 2;
+    for (;;) {
+      const centers = [];
+      const fits = widths.every((w, i) => {
+        const rx = halfWidth - (w * spacing) / 2;
+        const ry = halfHeight - spacing / 2;
+        for (let t = 0; t < SCATTER_TRIES; t++) {
+          const p = { x: (rng() * 2 - 1) * rx, y: (rng() * 2 - 1) * ry };
+          const clear = centers.every((q, j) =>
+            Math.abs(p.x - q.x) >= ((w + widths[j]) * spacing) / 2 || Math.abs(p.y - q.y) >= spacing);
+          if (clear) {
+            centers.push(p);
+            return true;
+          }
+        }
+        return false;
+      });
+      if (fits) return { centers, halfWidth, halfHeight };
+      halfWidth *= 1.1;
+      halfHeight *= 1.1;
+    }
+  },
+
+  /** Rows per die type (`by`: 'sides' or 'color'), in order of first appearance */
+  grouped(dice, widths, { spacing, columns = GRID_COLUMNS, by = 'sides' }) {
+    const groups = new Map();
+    dice.forEach((d, i) => {
+      const key = String(d[by]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(i);
+    });
+    const rows = [];
+    const gaps = [];
+    groups.forEach(indices => {
+      if (rows.length > 0) gaps[rows.length] = GROUP_GAP;
+      rows.push(...wrapRows(indices, widths, Math.max(1, columns)));
+    });
+    return placeRows(rows, widths, spacing, gaps);
+  },
+};
+
+/** Stable string for a layout option; functions compare by identity */
+export function layoutKey(layout) {
+  return typeof layout === 'function' ? layout : JSON.stringify(layout || 'grid');
+}
+
+/**
+ * `layout` with a seed drawn for an unseeded 'scatter' (other layouts come
+ * back as they are), so every computeLayout call for it picks the same spots.
+ */
+export function seedLayout(layout) {
+  const spec = typeof layout === 'string' ? { type: layout } : layout;
+  if (!spec || typeof spec === 'function' || spec.type !== 'scatter' || spec.seed != null) return layout;
+  return { ...spec, seed: randomSeed() };
+}
+
+/**
+ * Place logical dice (as normalizeDice returns them) for the `layout` prop:
+ *   'grid' | 'row' | 'circle' | 'scatter' | 'grouped'
+ *   { type, spacing, ...options }  - a built-in with options (grid / grouped: columns;
+ *                                    scatter: seed, aspect; grouped: by)
+ *   (dice, { spacing }) => [{ x, y }] - one center per die, or
+ *                                    { centers, halfWidth, halfHeight } to set the area
+ * Positions are world units around the origin; the layout is re-centered on it.
+ * Returns { centers } per logical die, { positions } per physical die (a
+ * percentile pair sits side by side around its center) and the half extents
+ * of the area the camera has to fit.
+ */
+export function computeLayout(dice, layout = 'grid') {
+  const spec = typeof layout === 'string' ? { type: layout } : layout || {};
+  const spacing = spec.spacing || LAYOUT_SPACING;
+  const widths = dice.map(cellWidth);
+  if (dice.length === 0) return { centers: [], positions: [], halfWidth: 0, halfHeight: 0 };
+
+  const place = typeof spec === 'function' ? spec : LAYOUTS[spec.type] || LAYOUTS.grid;
+  const placed = typeof spec === 'function'
+    ? place(dice, { spacing })
+    : place(dice, widths, { ...spec, spacing });
+  const list = Array.isArray(placed) ? placed : placed.centers;
+  let centers = dice.map((d, i) => ({ x: (list[i] && list[i].x) || 0, y: (list[i] && list[i].y) || 0 }));
+  let { halfWidth, halfHeight } = Array.isArray(placed) ? {} : placed;
+
+  if (halfWidth == null || halfHeight == null) {
+    // Fit the cells the dice take, centered on the origin
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    centers.forEach((c, i) => {
+      minX = Math.min(minX, c.x - (widths[i] * spacing) / 2);
+      maxX = Math.max(maxX, c.x + (widths[i] * spacing) / 2);
+      minY = Math.min(minY, c.y - spacing / 2);
+      maxY = Math.max(maxY, c.y + spacing / 2);
+    });
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+    centers = centers.map(c => ({ x: c.x - cx, y: c.y - cy }));
+    halfWidth = (maxX - minX) / 2;
+    halfHeight = (maxY - minY) / 2;
+  }
+
+  const positions = [];
+  dice.forEach((d, i) => {
+    const { x, y } = centers[i];
+    if (d.sides === PERCENTILE_SIDES) {
+      positions.push({ x: x - PAIR_SPACING / 2, y }, { x: x + PAIR_SPACING / 2, y });
+    } else {
+      positions.push({ x, y });
+    }
+  });
+  return { centers, positions, halfWidth, halfHeight };
+}
@@ -0,0 +1,232 @@
+// --- Dice notation ---
+//
+// Grammar (whitespace ignored, case-insensitive):
+//   expression := term (('+' | '-') term)*
+//   term       := [count] 'd' (sides | '%' | 'F') modifier* | integer
+//   modifier   := ('kh' | 'kl' | 'k' | 'dh' | 'dl' | 'd') [n]    keep / drop (k = kh, d = dl, n = 1)
+//               | '!' [compare]                                  explode (default: max face, +1 on dF; at most one)
+//               | ('r' | 'ro') compare                           reroll (ro = reroll once)
+//   compare    := ['<' | '>' | '<=' | '>=' | '='] n
+//
+// Examples: 4d6kh3, 2d20kl1+3, 3d6!, 2d10r1, 4dF, d%, 1d20+2d6+1d4-1
+
+/** Safety caps so malformed input can't hang the page */
+const MAX_COUNT = 1000;
+const MAX_REROLLS = 100;
+
+const TERM_RE = /^(\d*)d(\d+|%|f)(.*)$/;
+const MOD_RE = /^(kh|kl|k|dh|dl|d|ro|r|!)(?:(<=|>=|<|>|=)?(\d+))?/;
+
+function matches(compare, value) {
+  switch (compare.op) {
+    case '<': return value < compare.value;
+    case '>': return value > compare.value;
+    case '<=': return value <= compare.value;
+    case '>=': return value >= compare.value;
+    default: return value === compare.value;
+  }
+}
+
+function parseModifiers(str, term, source) {
+  const mods = [];
+  let rest = str;
+  while (rest.length > 0) {
+    const m = MOD_RE.exec(rest);
+    if (!m) throw new Error(`Invalid dice notation "${source}": unknown modifier "${rest}"`);
+    const [all, kind, op, num] = m;
+    const n = num != null ? parseInt(num, 10) : null;
+    if (kind === '!') {
+      // "!!" means compounding in other dialects; rather than read it as a plain explode, allow one
+      if (mods.some(mod => mod.type === 'explode')) {
+        throw new Error(`Invalid dice notation "${source}": only one explode modifier is allowed (compounding "!!" is not supported)`);
+      }
+      // Fudge faces are -1, 0 and +1
+      const [min, max] = term.fudge ? [-1, 1] : [1, term.sides];
+      const compare = n != null ? { op: op || '=', value: n } : { op: '=', value: max };
+      if (min === max || (compare.op === '>=' && compare.value <= min)) {
+        throw new Error(`Invalid dice notation "${source}": explosion would never stop`);
+      }
+      mods.push({ type: 'explode', compare });
+    } else if (kind === 'r' || kind === 'ro') {
+      if (n == null) throw new Error(`Invalid dice notation "${source}": reroll needs a value`);
+      mods.push({ type: 'reroll', once: kind === 'ro', compare: { op: op || '=', value: n } });
+    } else {
+      if (op) throw new Error(`Invalid dice notation "${source}": "${kind}" takes a count, not a comparison`);
+      const type = kind.startsWith('k') ? 'keep' : 'drop';
+      const which = kind === 'kl' || kind === 'dl' || kind === 'd' ? 'lowest' : 'highest';
+      mods.push({ type, which, count: n != null ? n : 1 });
+    }
+    rest = rest.slice(all.length);
+  }
+  return mods;
+}
+
+/**
+ * Parse a notation string into a term list without rolling.
+ * Returns { notation, terms } where each term is either
+ *   { type: 'dice', sign, count, sides, fudge, notation, modifiers }  or
+ *   { type: 'constant', sign, value, notation }.
+ * Throws an Error describing the first problem found.
+ */
+export function parseNotation(notation) {
+  if (typeof notation !== 'string') throw new Error('Dice notation must be a string');
+  const src = notation.replace(/\s+/g, '').toLowerCase();
+  if (!src) throw new Error('Dice notation is empty');
+
+  const terms = [];
+  const parts = src.match(/[+-]?[^+-]+/g) || [];
+  if (parts.join('') !== src) throw new Error(`Invalid dice notation "${notation}"`);
+
+  for (const part of parts) {
+    const sign = part[0] === '-' ? -1 : 1;
+    const body = part.replace(/^[+-]/, '');
+    if (/^\d+$/.test(body)) {
+      terms.push({ type: 'constant', sign, value: parseInt(body, 10), notation: body });
+      continue;
+    }
+    const m = TERM_RE.exec(body);
+    if (!m) throw new Error(`Invalid dice notation "${notation}": cannot read "${body}"`);
+    const count = m[1] ? parseInt(m[1], 10) : 1;
+    if (count < 1 || count > MAX_COUNT) {
+      throw new Error(`Invalid dice notation "${notation}": dice count must be 1-${MAX_COUNT}`);
+    }
+    const fudge = m[2] === 'f';
+    const sides = fudge ? 3 : m[2] === '%' ? 100 : parseInt(m[2], 10);
+    if (sides < 1) throw new Error(`Invalid dice notation "${notation}": dice need at least 1 side`);
+    const term = { type: 'dice', sign, count, sides, fudge, notation: body, modifiers: [] };
+    term.modifiers = parseModifiers(m[3], term, notation);
+    terms.push(term);
+  }
+  return { notation, terms };
+}
+
+/** Face value for one roll: 1..sides, or -1/0/+1 for Fudge dice */
+function rollOne(term, rng) {
+  const face = Math.floor(rng() * term.sides) + 1;
+  return term.fudge ? face - 2 : face;
+}
+
+function rollTerm(term, rng) {
+  const dice = [];
+  const explode = term.modifiers.find(m => m.type === 'explode');
+  const reroll = term.modifiers.find(m => m.type === 'reroll');
+
+  for (let i = 0; i < term.count; i++) {
+    let chain = 0;
+    let explodedFrom = false;
+    do {
+      const die = { sides: term.sides, value: rollOne(term, rng), kept: true, dropped: false, exploded: false, rerolled: [] };
+      if (term.fudge) die.fudge = true;
+      if (explodedFrom) die.fromExplosion = true;
+      if (reroll) {
+        let n = 0;
+        while (matches(reroll.compare, die.value) && n < (reroll.once ? 1 : MAX_REROLLS)) {
+          die.rerolled.push(die.value);
+          die.value = rollOne(term, rng);
+          n++;
+        }
+      }
+      dice.push(die);
+      die.exploded = !!explode && matches(explode.compare, die.value) && chain < MAX_REROLLS;
+      explodedFrom = die.exploded;
+      chain++;
+    } while (explodedFrom);
+  }
+
+  // Keep/drop applies to the whole pool after explosions and rerolls
+  for (const mod of term.modifiers) {
+    if (mod.type !== 'keep' && mod.type !== 'drop') continue;
+    const live = dice.filter(d => d.kept);
+    const order = live.slice().sort((a, b) => a.value - b.value);
+    if (mod.which === 'highest') order.reverse();
+    const n = Math.min(mod.count, live.length);
+    const affected = mod.type === 'keep' ? order.slice(n) : order.slice(0, n);
+    affected.forEach(d => { d.kept = false; d.dropped = true; });
+  }
+
+  const sum = dice.reduce((acc, d) => acc + (d.kept ? d.value : 0), 0);
+  return { ...term, dice, subtotal: sum * term.sign };
+}
+
+/**
+ * Roll a notation string (or a parsed result from parseNotation).
+ * options.rng: () => number in [0, 1), defaults to Math.random (see createRng for seeded rolls).
+ * Returns { notation, terms, total } where dice terms carry
+ * dice: [{ sides, value, kept, dropped, exploded, rerolled, fromExplosion?, fudge? }] and subtotal.
+ */
+export function rollNotation(notation, options = {}) {
+  const rng = options.rng || Math.random;
+  const parsed = typeof notation === 'string' ? parseNotation(notation) : notation;
+  const terms = parsed.terms.map(term => (
+    term.type === 'constant'
+      ? { ...term, subtotal: term.value * term.sign }
+      : rollTerm(term, rng)
+  ));
+  const total = terms.reduce((acc, t) => acc + t.subtotal, 0);
+  return { notation: parsed.notation, terms, total };
+}
+
+/** Face content for Fudge dice rendered as d3: faces 1-3 show minus, blank, plus */
+export const FUDGE_FACES = ['\u2212', '', '+'];
+
+/**
+ * Flatten a roll into the Dice3D `dice` prop: one { sides, result, dropped } per physical die.
+ * Fudge dice render as d3 with FUDGE_FACES, their result given as the face label.
+ */
+export function rollToDice(roll) {
+  const out = [];
+  roll.terms.forEach(term => {
+    if (term.type !== 'dice') return;
+    term.dice.forEach(d => {
+      if (d.fudge) {
+        out.push({ sides: 3, result: FUDGE_FACES[d.value + 1], faces: FUDGE_FACES, dropped: d.dropped });
+      } else {
+        out.push({ sides: d.sides, result: d.value, dropped: d.dropped });
+      }
+    });
+  });
+  return out;
+}
+
+/** "a", "a and b", "a, b and c" */
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/** A d3 showing FUDGE_FACES (as from rollToDice) is a Fudge die */
+function isFudge(d) {
+  return d.sides === 3 && Array.isArray(d.faces) && d.faces.length === 3 && d.faces.every((f, i) => f === FUDGE_FACES[i]);
+}
+
+/** Fudge faces read aloud; screen readers often skip a bare "+" or "−" */
+const FUDGE_WORDS = { [FUDGE_FACES[0]]: 'minus', [FUDGE_FACES[1]]: 'blank', [FUDGE_FACES[2]]: 'plus' };
+
+/**
+ * Plain-language summary of a set of dice for screen readers, e.g.
+ * "Rolled 2d6: 3 and 5, total 8" or "Rolled 1d20 and 2d6: 17, 3 and 5, total 25".
+ * dice: [{ sides, result, dropped?, faces? }]. Dropped dice are named but left out of the
+ * total; the total is omitted when any result is a face label. Fudge dice (d3s with
+ * FUDGE_FACES) are named dF and read as plus, blank and minus: "Rolled 2dF: plus and blank".
+ */
+export function describeRoll(dice) {
+  if (!dice || dice.length === 0) return '';
+  const groups = [];
+  dice.forEach(d => {
+    const name = isFudge(d) ? 'dF' : `d${d.sides}`;
+    let g = groups.find(e => e.name === name);
+    if (!g) groups.push(g = { name, count: 0 });
+    g.count++;
+  });
+  const values = dice.map(d => {
+    const v = isFudge(d) && d.result in FUDGE_WORDS ? FUDGE_WORDS[d.result]
+      : d.result === '' || d.result == null ? 'blank' : String(d.result);
+    return d.dropped ? `${v} (dropped)` : v;
+  });
+  let text = `Rolled ${joinList(groups.map(g => `${g.count}${g.name}`))}: ${joinList(values)}`;
+  const kept = dice.filter(d => !d.dropped);
+  if (kept.length > 0 && dice.length > 1 && dice.every(d => typeof d.result === 'number')) {
+    text += `, total ${kept.reduce((a, d) => a + d.result, 0)}`;
+  }
+  return text;
+}
@@ -0,0 +1,499 @@
+import * as THREE from 'three';
+import {
+  isFaceLabeled,
+  createGeometry,
+  geomFaceCount,
+  computeFaces,
+  computeFaceNumbers,
+  computeVertexNumbers,
+  faceSettleQuat,
+  vertexSettleQuat,
+} from './diceEngine.js';
+import { createRng } from './random.js';
+
+// --- Tumble simulation ---
+//
+// A small impulse-based rigid-body solver, run to completion up front so the
+// whole throw is a recorded trajectory. World axes match the Dice3D scene:
+// the table is the z = 0 plane, the camera looks down -Z, gravity pulls -Z.
+// Once the dice come to rest, each track is re-based so the requested face is
+// the one that landed on top (fair dice are symmetric, so the motion stays
+// physically valid), then steered to the upright settle orientation, with
+// its heights following the steered pose so it still meets the table.
+
+/** Simulation step (seconds) and recorded frame interval (in steps) */
+const STEP = 1 / 120;
+const FRAME_EVERY = 2;
+
+const GRAVITY = -30;
+const RESTITUTION = 0.35;
+const BOUNCE_SPEED = 1;
+const FRICTION = 0.45;
+const LINEAR_DAMPING = 0.999;
+const ANGULAR_DAMPING = 0.995;
+const REST_SPEED = 1.5;
+const REST_DAMPING = 0.9;
+const SLEEP_SPEED = 0.3;
+/** Past this many seconds, dice still jostling in a crowd fall asleep more and more readily */
+const SETTLE_AFTER = 3;
+/** Closing speed that wakes a die: a real hit, not the speed gravity adds in a step */
+const WAKE_SPEED = 1;
+/** Contact normals steeper than this hold a die up (the floor, or a die beneath it) */
+const SUPPORT_NORMAL = 0.5;
+const SOLVER_ITERATIONS = 4;
+/** Slack on the broadphase reach: how far dice can move within one step's solver iterations */
+const BROADPHASE_MARGIN = 0.5;
+
+/** Physics shape for one die: hull vertices, numbered faces and hull planes in body space */
+function buildBody(sides) {
+  const geo = createGeometry(sides);
+  const pos = geo.getAttribute('position');
+  const hull = [];
+  for (let i = 0; i < pos.count; i++) {
+    const v = new THREE.Vector3().fromBufferAttribute(pos, i);
+    if (!hull.some(u => u.distanceToSquared(v) < 1e-6)) hull.push(v);
+  }
+  const faces = computeFaces(geo, geomFaceCount(sides));
+  // Collision planes come from the actual hull, which for curved dice (coin,
+  // D3) has more facets than the numbered faces
+  const plain = geo.index ? geo.toNonIndexed() : geo.clone();
+  plain.userData = {};
+  const planes = computeFaces(plain, 0);
+  plain.dispose();
+  geo.dispose();
+  const radius = hull.reduce((r, v) => Math.max(r, v.length()), 0);
+  return {
+    sides,
+    hull,
+    faces,
+    planes,
+    radius,
+    invMass: 1,
+    // Solid sphere approximation of the inertia tensor keeps the solver scalar
+    invInertia: 1 / (0.4 * radius * radius),
+    p: new THREE.Vector3(),
+    v: new THREE.Vector3(),
+    q: new THREE.Quaternion(),
+    w: new THREE.Vector3(),
+    motion: 1,
+    supported: false,
+    asleep: false,
+  };
+}
+
+const _r = new THREE.Vector3();
+const _rn = new THREE.Vector3();
+const _vel = new THREE.Vector3();
+const _t = new THREE.Vector3();
+const _x = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _n = new THREE.Vector3();
+const _qi = new THREE.Quaternion();
+const _dq = new THREE.Quaternion();
+
+/** Height of the body's origin over its lowest hull point when turned by q */
+function restLift(b, q) {
+  return -b.hull.reduce((z, v) => Math.min(z, _x.copy(v).applyQuaternion(q).z), Infinity);
+}
+
+/** Velocity of the body at world point x */
+function pointVelocity(b, x, out) {
+  _r.subVectors(x, b.p);
+  return out.crossVectors(b.w, _r).add(b.v);
+}
+
+function applyImpulse(b, x, impulse) {
+  b.v.addScaledVector(impulse, b.invMass);
+  _r.subVectors(x, b.p);
+  _rn.crossVectors(_r, impulse);
+  b.w.addScaledVector(_rn, b.invInertia);
+}
+
+function effectiveMass(b, x, n) {
+  _r.subVectors(x, b.p);
+  _rn.crossVectors(_r, n);
+  return b.invMass + b.invInertia * _rn.lengthSq();
+}
+
+/** Contact of hull vertices against a static plane dot(n, x) >= offset */
+function collidePlane(b, n, offset) {
+  let deepest = 0;
+  for (const hv of b.hull) {
+    _x.copy(hv).applyQuaternion(b.q).add(b.p);
+    const depth = offset - n.dot(_x);
+    if (depth <= 0) continue;
+    deepest = Math.max(deepest, depth);
+    pointVelocity(b, _x, _vel);
+    const vn = _vel.dot(n);
+    if (vn >= 0) continue;
+    const e = vn < -BOUNCE_SPEED ? RESTITUTION : 0;
+    const j = -(1 + e) * vn / effectiveMass(b, _x, n);
+    const impulse = n.clone().multiplyScalar(j);
+    // Coulomb friction along the sliding direction
+    _t.copy(_vel).addScaledVector(n, -vn);
+    const vt = _t.length();
+    if (vt > 1e-6) {
+      _t.divideScalar(vt);
+      const jt = Math.min(vt / effectiveMass(b, _x, _t), FRICTION * j);
+      impulse.addScaledVector(_t, -jt);
+    }
+    applyImpulse(b, _x.clone(), impulse);
+  }
+  if (deepest > 0) b.p.addScaledVector(n, deepest * 0.8);
+  return deepest > 0;
+}
+
+/**
+ * Deepest vertex of `a` inside the convex hull of `b`.
+ * Returns { point, normal (out of b), depth } or null.
+ */
+function hullPenetration(a, b) {
+  _qi.copy(b.q).invert();
+  let best = null;
+  for (const hv of a.hull) {
+    _x.copy(hv).applyQuaternion(a.q).add(a.p);
+    _local.subVectors(_x, b.p);
+    // Outside b's bounding sphere: can't be inside its hull
+    if (_local.lengthSq() >= b.radius * b.radius) continue;
+    _local.applyQuaternion(_qi);
+    let minDepth = Infinity;
+    let minFace = null;
+    for (const f of b.planes) {
+      const depth = -f.normal.dot(_n.subVectors(_local, f.centroid));
+      if (depth <= 0) { minFace = null; break; }
+      if (depth < minDepth) { minDepth = depth; minFace = f; }
+    }
+    if (minFace && (!best || minDepth > best.depth)) {
+      best = {
+        point: _x.clone(),
+        normal: minFace.normal.clone().applyQuaternion(b.q),
+        depth: minDepth,
+      };
+    }
+  }
+  return best;
+}
+
+function collidePair(a, b) {
+  if (a.fixed && b.fixed) return;
+  const reach = a.radius + b.radius;
+  if (a.p.distanceToSquared(b.p) > reach * reach) return;
+  // Vertex-in-hull both ways; normal always points from b toward a
+  let c = hullPenetration(a, b);
+  const rev = hullPenetration(b, a);
+  if (rev && (!c || rev.depth > c.depth)) c = { ...rev, normal: rev.normal.negate() };
+  if (!c) return;
+
+  const va = pointVelocity(a, c.point, new THREE.Vector3());
+  const vb = pointVelocity(b, c.point, new THREE.Vector3());
+  const rel = va.sub(vb);
+  const vn = rel.dot(c.normal);
+  if (vn < -WAKE_SPEED) {
+    [a, b].forEach(body => {
+      if (body.fixed) return;
+      body.asleep = false;
+      body.motion = Math.max(body.motion, 1);
+    });
+  }
+  // Sleeping dice hold still, like fixed ones, until a hit wakes them; a die
+  // settling onto a sleeping one can't push it through the table
+  const ka = a.asleep ? 0 : effectiveMass(a, c.point, c.normal);
+  const kb = b.asleep ? 0 : effectiveMass(b, c.point, c.normal);
+  if (vn < 0 && ka + kb > 0) {
+    const e = vn < -BOUNCE_SPEED ? RESTITUTION : 0;
+    const j = -(1 + e) * vn / (ka + kb);
+    const impulse = c.normal.clone().multiplyScalar(j);
+    if (!a.asleep) applyImpulse(a, c.point, impulse);
+    if (!b.asleep) applyImpulse(b, c.point, impulse.negate());
+  }
+  // Push apart in proportion to inverse mass, so fixed and sleeping dice don't move
+  const ma = a.asleep ? 0 : a.invMass;
+  const mb = b.asleep ? 0 : b.invMass;
+  if (ma + mb > 0) {
+    const push = c.depth * 0.8 / (ma + mb);
+    a.p.addScaledVector(c.normal, push * ma);
+    b.p.addScaledVector(c.normal, -push * mb);
+  }
+  if (c.normal.z > SUPPORT_NORMAL) a.supported = true;
+  if (-c.normal.z > SUPPORT_NORMAL) b.supported = true;
+}
+
+function integrate(b, dt) {
+  b.v.z += GRAVITY * dt;
+  b.v.multiplyScalar(LINEAR_DAMPING);
+  b.w.multiplyScalar(ANGULAR_DAMPING);
+  b.p.addScaledVector(b.v, dt);
+  const wl = b.w.length();
+  if (wl > 1e-9) {
+    _dq.setFromAxisAngle(_n.copy(b.w).divideScalar(wl), wl * dt);
+    b.q.premultiply(_dq).normalize();
+  }
+}
+
+/**
+ * Pairs of dice close enough to touch this step, by sweep and prune along x.
+ * `order` is the previous step's x order, re-sorted in place (nearly sorted
+ * already, so insertion sort is linear). Pairs come out as [i, j] with i < j,
+ * in the same order the all-pairs loop would visit them.
+ */
+function broadphase(bodies, order) {
+  for (let k = 1; k < order.length; k++) {
+    const o = order[k];
+    let m = k - 1;
+    while (m >= 0 && bodies[order[m]].p.x > bodies[o].p.x) {
+      order[m + 1] = order[m];
+      m--;
+    }
+    order[m + 1] = o;
+  }
+  const pairs = [];
+  for (let k = 0; k < order.length; k++) {
+    const a = bodies[order[k]];
+    for (let m = k + 1; m < order.length; m++) {
+      const b = bodies[order[m]];
+      const reach = a.radius + b.radius + BROADPHASE_MARGIN;
+      if (b.p.x - a.p.x > reach) break;
+      if ((a.asleep && b.asleep) || Math.abs(b.p.y - a.p.y) > reach || Math.abs(b.p.z - a.p.z) > reach) continue;
+      pairs.push(order[k] < order[m] ? [order[k], order[m]] : [order[m], order[k]]);
+    }
+  }
+  return pairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+}
+
+/** Random unit quaternion (Shoemake) from a seeded generator */
+function randomQuat(rng) {
+  const u1 = rng(), u2 = rng() * Math.PI * 2, u3 = rng() * Math.PI * 2;
+  const a = Math.sqrt(1 - u1), b = Math.sqrt(u1);
+  return new THREE.Quaternion(a * Math.sin(u2), a * Math.cos(u2), b * Math.sin(u3), b * Math.cos(u3));
+}
+
+/**
+ * Pre-compute a seeded throw that lands each die on its requested result.
+ *
+ * dice:    [{ sides, result, d4Style?, fixed? }]
+ *          fixed ({ x, y, quaternion }) keeps a die where it is, resting on the table;
+ *          the others bounce off it (held dice)
+ * options: {
+ *   seed      (number | string) - Same seed + same inputs = same trajectory (default 0)
+ *   bounds    ({ halfWidth, halfHeight }) - Tray walls around the origin (default 5 x 3)
+ *   starts    ([{ x, y }]) - Release points per die (default: spread along the left wall)
+ *   velocity  ({ x, y }) - Throw velocity (default: seeded, toward +x)
+ *   spin      (number) - Angular speed multiplier (default 1)
+ *   spinAxis  ({ x, y, z }) - Main spin axis, e.g. the rolling axis of a flick (default: seeded random)
+ *   maxTime   (number) - Hard cap on simulated seconds (default 6)
+ * }
+ *
+ * Returns { duration, frameTime, frameCount, tracks } where each track holds
+ * flat `positions` (xyz per frame) and `quaternions` (xyzw per frame) arrays,
+ * plus `landedFace` (face index on top before re-basing, or -1 when unlabeled).
+ */
+export function simulateRoll(dice, options = {}) {
+  const rng = createRng(options.seed != null ? options.seed : 0);
+  const bounds = options.bounds || { halfWidth: 5, halfHeight: 3 };
+  const spin = options.spin != null ? options.spin : 1;
+  const maxSteps = Math.ceil((options.maxTime || 6) / STEP);
+  const bodies = dice.map(d => buildBody(d.sides));
+
+  // --- Release state ---
+  const baseVel = options.velocity
+    ? new THREE.Vector3(options.velocity.x, options.velocity.y, 0)
+    : new THREE.Vector3(8 + rng() * 5, (rng() - 0.5) * 6, 0);
+  bodies.forEach((b, i) => {
+    const fixed = dice[i].fixed;
+    if (fixed) {
+      b.q.copy(fixed.quaternion);
+      b.p.set(fixed.x, fixed.y, restLift(b, b.q));
+      b.fixed = true;
+      b.asleep = true;
+      b.invMass = 0;
+      b.invInertia = 0;
+      return;
+    }
+    const st = options.starts && options.starts[i];
+    if (st) {
+      b.p.set(st.x, st.y, 0);
+    } else {
+      const rows = Math.max(1, Math.floor((bounds.halfHeight * 2) / (b.radius * 2.2)));
+      b.p.set(
+        -bounds.halfWidth + b.radius + Math.floor(i / rows) * b.radius * 2.2,
+        ((i % rows) - (rows - 1) / 2) * b.radius * 2.2,
+        0
+      );
+    }
+    // Staggered release heights; kept low enough to stay in front of the camera
+    b.p.z = b.radius + 2 + rng() * 1.5 + (i % 3) * 0.8;
+    b.q.copy(randomQuat(rng));
+    b.v.copy(baseVel).add(new THREE.Vector3((rng() - 0.5) * 2, (rng() - 0.5) * 2, rng() * 2));
+    b.w.set(rng() - 0.5, rng() - 0.5, rng() - 0.5).multiplyScalar(30 * spin);
+    if (options.spinAxis) {
+      // Mostly about the given axis, with some seeded wobble
+      b.w.multiplyScalar(0.3).addScaledVector(
+        _n.set(options.spinAxis.x, options.spinAxis.y, options.spinAxis.z || 0).normalize(),
+        (12 + rng() * 6) * spin
+      );
+    }
+  });
+
+  // --- Static planes: floor + 4 walls ---
+  const planes = [
+    { n: new THREE.Vector3(0, 0, 1), offset: 0 },
+    { n: new THREE.Vector3(1, 0, 0), offset: -bounds.halfWidth },
+    { n: new THREE.Vector3(-1, 0, 0), offset: -bounds.halfWidth },
+    { n: new THREE.Vector3(0, 1, 0), offset: -bounds.halfHeight },
+    { n: new THREE.Vector3(0, -1, 0), offset: -bounds.halfHeight },
+  ];
+
+  // --- Run + record ---
+  const frames = bodies.map(() => ({ positions: [], quaternions: [] }));
+  const record = () => bodies.forEach((b, i) => {
+    frames[i].positions.push(b.p.x, b.p.y, b.p.z);
+    frames[i].quaternions.push(b.q.x, b.q.y, b.q.z, b.q.w);
+  });
+  record();
+
+  let step = 0;
+  const order = bodies.map((b, i) => i);
+  for (; step < maxSteps; step++) {
+    const sleepSpeed = SLEEP_SPEED * (1 + Math.max(0, step * STEP - SETTLE_AFTER) * 4);
+    bodies.forEach(b => { if (!b.asleep) integrate(b, STEP); });
+    const pairs = broadphase(bodies, order);
+    for (let it = 0; it < SOLVER_ITERATIONS; it++) {
+      pairs.forEach(([i, j]) => {
+        if (bodies[i].asleep && bodies[j].asleep) return;
+        collidePair(bodies[i], bodies[j]);
+      });
+      bodies.forEach(b => {
+        if (b.asleep) return;
+        planes.forEach((pl, pi) => {
+          if (collidePlane(b, pl.n, pl.offset) && pi === 0) b.supported = true;
+        });
+      });
+    }
+    bodies.forEach(b => {
+      if (b.asleep) return;
+      // Rolling resistance: slow dice on the table (or on other dice) bleed off contact jitter
+      if (b.supported && b.v.length() + b.w.length() * b.radius < REST_SPEED) {
+        b.v.multiplyScalar(REST_DAMPING);
+        b.w.multiplyScalar(REST_DAMPING);
+      }
+      const supported = b.supported;
+      b.supported = false;
+      // Smoothed surface speed, so contact jitter alone can't keep a die awake
+      const speed = b.v.length() + b.w.length() * b.radius;
+      b.motion = b.motion * 0.9 + speed * 0.1;
+      // Resting on the table or stacked on a die, not at the top of a bounce
+      if (b.motion < sleepSpeed && supported) {
+        b.asleep = true;
+        b.v.set(0, 0, 0);
+        b.w.set(0, 0, 0);
+      }
+    });
+    if ((step + 1) % FRAME_EVERY === 0) record();
+    if (bodies.every(b => b.asleep)) break;
+  }
+  if ((step + 1) % FRAME_EVERY !== 0) record();
+
+  const up = new THREE.Vector3(0, 0, 1);
+  const tracks = bodies.map((b, i) => {
+    const positions = new Float32Array(frames[i].positions);
+    const quaternions = new Float32Array(frames[i].quaternions);
+    const d = dice[i];
+    let landedFace = -1;
+    if (isFaceLabeled(d.sides) && !d.fixed) {
+      landedFace = rebaseTrack(b, d, positions, quaternions, up);
+    }
+    return { sides: d.sides, result: d.result, positions, quaternions, landedFace };
+  });
+
+  const frameCount = frames[0] ? frames[0].positions.length / 3 : 0;
+  const frameTime = STEP * FRAME_EVERY;
+  return { duration: Math.max(0, frameCount - 1) * frameTime, frameTime, frameCount, tracks };
+}
+
+/**
+ * Rotate a recorded track in body space so `d.result` lands on top, then
+ * blend in the upright settle orientation proportionally to how far the die
+ * has spun, so the correction hides inside the tumble. Heights follow the new
+ * orientation, so the die still touches the table wherever it did (and rests
+ * on it at the end). Returns the landed face.
+ * Vertex-reading D4s are matched on the face they land on instead.
+ */
+function rebaseTrack(b, d, positions, quaternions, up) {
+  const byVertex = d.sides === 4 && d.d4Style === 'vertices';
+  let want = -1;
+  let target = null;
+  if (byVertex) {
+    const vn = computeVertexNumbers(b.faces).find(e => e.number === d.result);
+    if (vn) {
+      want = b.faces.findIndex(f => !f.verts.some(v => v.distanceTo(vn.position) < 0.001));
+      target = vertexSettleQuat(vn.position, b.faces);
+    }
+  } else {
+    want = computeFaceNumbers(b.faces, d.sides).indexOf(d.result);
+    if (want >= 0) target = faceSettleQuat(b.faces[want], d.sides);
+  }
+  const count = quaternions.length / 4;
+  const qf = new THREE.Quaternion().fromArray(quaternions, (count - 1) * 4);
+
+  let landed = 0;
+  let best = -Infinity;
+  const sign = byVertex ? -1 : 1;
+  b.faces.forEach((f, fi) => {
+    const z = f.normal.clone().applyQuaternion(qf).dot(up) * sign;
+    if (z > best) { best = z; landed = fi; }
+  });
+  if (want < 0) return landed;
+
+  // C maps the wanted face onto the landed face's slot: S_L^-1 * S_R
+  const sWant = faceSettleQuat(b.faces[want], d.sides);
+  const C = faceSettleQuat(b.faces[landed], d.sides).invert().multiply(sWant);
+  const last = qf.clone().multiply(C);
+  const Y = target.clone().multiply(last.clone().invert());
+
+  // Cumulative rotation travelled, used as the steering weight
+  const q = new THREE.Quaternion();
+  const prev = new THREE.Quaternion().fromArray(quaternions, 0);
+  const travel = [0];
+  for (let k = 1; k < count; k++) {
+    q.fromArray(quaternions, k * 4);
+    travel.push(travel[k - 1] + prev.angleTo(q));
+    prev.copy(q);
+  }
+  const total = travel[count - 1] || 1;
+
+  const I = new THREE.Quaternion();
+  const steer = new THREE.Quaternion();
+  for (let k = 0; k < count; k++) {
+    q.fromArray(quaternions, k * 4);
+    const before = restLift(b, q);
+    q.multiply(C);
+    steer.slerpQuaternions(I, Y, travel[k] / total);
+    q.premultiply(steer);
+    q.toArray(quaternions, k * 4);
+    positions[k * 3 + 2] += restLift(b, q) - before;
+  }
+  return landed;
+}
+
+/**
+ * Sample a track at time t (seconds), interpolating between recorded frames.
+ * Writes into the given position/quaternion (e.g. a mesh's own) and returns
+ * true once t is past the end of the track.
+ */
+export function sampleTrack(sim, track, t, position, quaternion) {
+  const last = sim.frameCount - 1;
+  const f = Math.max(0, Math.min(t / sim.frameTime, last));
+  const k = Math.min(Math.floor(f), Math.max(last - 1, 0));
+  const a = Math.min(f - k, 1);
+  const pa = k * 3, pb = Math.min(k + 1, last) * 3;
+  const P = track.positions;
+  position.set(
+    P[pa] + (P[pb] - P[pa]) * a,
+    P[pa + 1] + (P[pb + 1] - P[pa + 1]) * a,
+    P[pa + 2] + (P[pb + 2] - P[pa + 2]) * a
+  );
+  _qi.fromArray(track.quaternions, k * 4);
+  _dq.fromArray(track.quaternions, Math.min(k + 1, last) * 4);
+  quaternion.slerpQuaternions(_qi, _dq, a);
+  return t >= sim.duration;
+}
@@ -0,0 +1,35 @@
+import { JSX } from 'react';
+import { ThreeElements } from '@react-three/fiber';
+import { DieSpec, DieSettledEvent, LayoutProp } from './index';
+
+// --- react-three-fiber components (react-3d-dice/r3f) ---
+
+type GroupProps = Omit<ThreeElements['group'], 'children'>;
+
+/** `id` here is the Object3D id from GroupProps; DieSpec's `id` only keys dice within a pool */
+export interface DieProps extends Omit<DieSpec, 'id'>, GroupProps {
+  /** Spin in place; turning it off settles on `result` */
+  rolling?: boolean;
+  /** 'none' skips the spin and settle */
+  animationMode?: 'full' | 'quick' | 'none';
+  /** Called with the result each time the die comes to rest */
+  onSettled?: (result: number | string) => void;
+}
+
+export interface DiceGroupProps extends Omit<DieSpec, 'sides' | 'result' | 'id'>, GroupProps {
+  /** Mixed pool, as on Dice3D; overrides sides/results */
+  dice?: (DieSpec & { dropped?: boolean })[];
+  sides?: number;
+  results?: (number | string)[];
+  /** As on Dice3D; an unseeded 'scatter' moves when the dice change */
+  layout?: LayoutProp;
+  rolling?: boolean;
+  animationMode?: 'full' | 'quick' | 'none';
+  onDieSettled?: (event: DieSettledEvent) => void;
+  onAllSettled?: (results: (number | string)[]) => void;
+}
+
+/** One die in the host's R3F scene (a percentile die is a D10 pair) */
+export declare function Die(props: DieProps): JSX.Element;
+/** A pool of dice laid out in Dice3D's grid */
+export declare function DiceGroup(props: DiceGroupProps): JSX.Element;
@@ -0,0 +1,231 @@
+import { useRef, useMemo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import {
+  isFaceLabeled,
+  SETTLE_SECS,
+  PERCENTILE_SIDES,
+  buildDieMesh,
+  settleQuat,
+  splitPercentile,
+  faceContentKey,
+  themeKey,
+} from './diceEngine.js';
+import { normalizeDice, expandDice, configKeyOf } from './DiceScene.js';
+import { computeLayout, layoutKey, seedLayout } from './layouts.js';
+
+// --- react-three-fiber components ---
+//
+// <Die> and <DiceGroup> render into the host's R3F scene: they use its render
+// loop (useFrame), camera and lights, and never create a WebGLRenderer.
+// World units match Dice3D: a die is about 2 units across, laid out 2.8 apart.
+
+const SPIN_SPEED = { full: 10, quick: 15 };
+
+function disposeMesh(mesh) {
+  mesh.traverse(ch => {
+    if (ch.geometry) ch.geometry.dispose();
+    if (ch.material) ch.material.dispose();
+  });
+}
+
+/** Random start pose, so the first settle visibly turns the die */
+function randomQuat() {
+  return new THREE.Quaternion().setFromEuler(new THREE.Euler(
+    Math.random() * Math.PI * 2,
+    Math.random() * Math.PI * 2,
+    Math.random() * Math.PI * 2
+  ));
+}
+
+/**
+ * Die -- one die in a react-three-fiber scene. A percentile die (sides 100)
+ * is a tens and a ones D10 side by side, centered on the group.
+ *
+ * Props:
+ *   sides, result, color, d6Style, d4Style, faces, theme - as in the Dice3D `dice` prop
+ *   rolling       (boolean) - Spin in place; turning it off settles on `result`
+ *   animationMode ('full' | 'quick' | 'none') - 'none' skips the spin and settle
+ *   onSettled     (fn)      - Called with the result each time the die comes to rest
+ *   ...rest       - Passed to the wrapping <group> (position, rotation, scale, onClick, ...)
+ *
+ * Dice without face labels (see isFaceLabeled) settle to a random tilt and
+ * show no number; draw one yourself (e.g. drei's <Html>) if you need it.
+ */
+export function Die({
+  sides,
+  result,
+  rolling = false,
+  color = 0x3b82f6,
+  d6Style = 'numbers',
+  d4Style = 'faces',
+  faces,
+  theme,
+  animationMode = 'full',
+  onSettled,
+  ...rest
+}) {
+  const configKey = [
+    sides, color, d6Style, d4Style,
+    faces ? JSON.stringify(faces.map(faceContentKey)) : '',
+    themeKey(theme),
+  ].join(':');
+
+  // One mesh per physical die, offset as in Dice3D's layout
+  const parts = useMemo(() => {
+    const die = { sides, color, d6Style, d4Style, faces, theme, result: 1 };
+    const phys = expandDice([die]);
+    const { positions } = computeLayout([die]);
+    return phys.map((d, i) => {
+      const mesh = buildDieMesh(d.sides, d.color, d.d6Style, {
+        percentile: d.percentile,
+        d4Style: d.d4Style,
+        faces: d.faces,
+        theme: d.theme,
+      });
+      mesh.quaternion.copy(randomQuat());
+      return { mesh, position: [positions[i].x, positions[i].y, 0] };
+    });
+  }, [configKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => () => parts.forEach(p => disposeMesh(p.mesh)), [parts]);
+
+  const onSettledRef = useRef(onSettled);
+  onSettledRef.current = onSettled;
+  const motion = useRef({ phase: 'idle', elapsed: 0, data: [], jitter: Math.random() * 3 });
+
+  // Spin while rolling; otherwise settle on the (possibly new) result
+  useEffect(() => {
+    const m = motion.current;
+    if (rolling && animationMode !== 'none') {
+      m.phase = 'spinning';
+      return;
+    }
+    let targets = [result];
+    if (sides === PERCENTILE_SIDES) {
+      const { tens, ones } = splitPercentile(result);
+      targets = [tens, ones];
+    }
+    m.data = parts.map(({ mesh }, i) => {
+      let to = isFaceLabeled(mesh.userData.sides) ? settleQuat(mesh, targets[i], mesh.userData.sides) : null;
+      if (!to) {
+        to = new THREE.Quaternion().setFromEuler(new THREE.Euler(Math.random() * 0.3, Math.random() * 0.3, 0));
+      }
+      return { from: mesh.quaternion.clone(), to };
+    });
+    m.phase = 'settling';
+    m.elapsed = animationMode === 'none' ? SETTLE_SECS : 0;
+  }, [rolling, result, parts, animationMode]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useFrame((state, delta) => {
+    const m = motion.current;
+    if (m.phase === 'spinning') {
+      const spd = SPIN_SPEED[animationMode] || SPIN_SPEED.full;
+      parts.forEach(({ mesh }, i) => {
+        mesh.rotation.x += (spd + m.jitter + i * 2) * delta;
+        mesh.rotation.y += (spd * 0.8 + m.jitter + i) * delta;
+        mesh.rotation.z += spd * 0.3 * delta;
+      });
+    } else if (m.phase === 'settling') {
+      m.elapsed += delta;
+      const p = Math.min(m.elapsed / SETTLE_SECS, 1);
+      const e = 1 - Math.pow(1 - p, 3);
+      parts.forEach(({ mesh }, i) => {
+        const d = m.data[i];
+        if (d) mesh.quaternion.slerpQuaternions(d.from, d.to, e);
+      });
+      if (p >= 1) {
+        m.phase = 'idle';
+        if (onSettledRef.current) onSettledRef.current(result);
+      }
+    }
+  });
+
+  return (
+    <group {...rest}>
+      {parts.map(({ mesh, position }) => (
+        <primitive key={mesh.uuid} object={mesh} position={position} />
+      ))}
+    </group>
+  );
+}
+
+/**
+ * DiceGroup -- a pool of <Die>s laid out like Dice3D's (rows of five by
+ * default), centered on the group.
+ *
+ * Props:
+ *   dice / sides / results / color / d6Style / d4Style / faces / theme - as on Dice3D
+ *   layout       - As on Dice3D; an unseeded 'scatter' moves when the dice change
+ *   rolling, animationMode - Passed to every die
+ *   onDieSettled (fn) - Called with { index, result, sides } as each die comes to rest
+ *   onAllSettled (fn) - Called with the results once every die is at rest
+ *   ...rest      - Passed to the wrapping <group>
+ */
+export function DiceGroup({
+  dice,
+  sides,
+  results = [],
+  color,
+  d6Style,
+  d4Style,
+  faces,
+  theme,
+  layout = 'grid',
+  rolling = false,
+  animationMode = 'full',
+  onDieSettled,
+  onAllSettled,
+  ...rest
+}) {
+  const defaults = { sides, color, d6Style, d4Style, faces, theme };
+  const logical = normalizeDice(Array.isArray(dice) ? dice : results, defaults);
+  const valuesKey = logical.map(d => d.result).join(',');
+  // An unseeded 'scatter' draws its seed once per set of dice, not on every render
+  const configKey = configKeyOf(expandDice(logical));
+  const placement = useMemo(() => seedLayout(layout), [layoutKey(layout), configKey]); // eslint-disable-line react-hooks/exhaustive-deps
+  const centers = useMemo(
+    () => computeLayout(logical, placement).centers.map(c => [c.x, c.y, 0]),
+    [placement, configKey, valuesKey] // eslint-disable-line react-hooks/exhaustive-deps
+  );
+
+  const settled = useRef([]);
+  useEffect(() => {
+    settled.current = [];
+  }, [rolling, valuesKey, logical.length]);
+
+  const callbacks = useRef({});
+  callbacks.current = { onDieSettled, onAllSettled, logical };
+  const handleSettled = index => {
+    const cb = callbacks.current;
+    const d = cb.logical[index];
+    if (!d) return;
+    settled.current[index] = true;
+    if (cb.onDieSettled) cb.onDieSettled({ index, result: d.result, sides: d.sides });
+    if (cb.logical.every((x, i) => settled.current[i])) {
+      settled.current = [];
+      if (cb.onAllSettled) cb.onAllSettled(cb.logical.map(x => x.result));
+    }
+  };
+
+  return (
+    <group {...rest}>
+      {logical.map((d, i) => (
+        <Die
+          key={i}
+          position={centers[i]}
+          sides={d.sides}
+          result={d.result}
+          color={d.color}
+          d6Style={d.d6Style}
+          d4Style={d.d4Style}
+          faces={d.faces}
+          theme={d.theme}
+          rolling={rolling}
+          animationMode={animationMode}
+          onSettled={() => handleSettled(i)}
+        />
+      ))}
+    </group>
+  );
+}
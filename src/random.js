@@ -0,0 +1,32 @@
+// --- Seeded random ---
+
+/**
+ * Create a deterministic random generator (mulberry32) returning floats in [0, 1).
+ * Same seed, same sequence -- used wherever rolls or animations must be reproducible.
+ * Accepts a 32-bit integer or a string (hashed to an integer).
+ */
+export function createRng(seed = 0) {
+  let a = typeof seed === 'string' ? hashSeed(seed) : seed >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** FNV-1a hash of a string into an unsigned 32-bit seed */
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** Random unsigned 32-bit seed from Math.random */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,69 @@
+// --- Roll logs: JSON records of a roll that DiceScene can replay ---
+
+/** Format version written to every roll log; replay() refuses newer ones */
+export const ROLL_LOG_VERSION = 1;
+
+/**
+ * Read a roll log (the object DiceScene emits as 'rollrecorded', or its JSON
+ * string) and check this version can replay it. Throws on anything else.
+ *
+ * A log is plain JSON:
+ *   version, startedAt (ISO time), duration (ms from roll start to rest)
+ *   dice          - The logical dice as rolled ({ sides, color, result, ... }), as plain data (see logDice)
+ *   results       - Their results
+ *   held          - Indices of held dice
+ *   animationMode - The mode the roll played in
+ *   area          - { halfWidth, halfHeight } the camera fit around
+ *   poses         - Per physical die at roll start: { x, y, rotation: [x, y, z] } (Euler, radians)
+ *   spin          - How long the dice spun before landing (ms)
+ *   settle        - Per physical die: { from, to } quaternions ([x, y, z, w]) of the settle, or null
+ *   throw         - simulateRoll options for a physics throw, plus the face numbers
+ *                   (`results`) and held dice (`fixed`) it ran with; null otherwise
+ */
+export function parseRollLog(input) {
+  const log = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!log || typeof log !== 'object' || !Array.isArray(log.dice) || !Array.isArray(log.poses)) {
+    throw new Error('Not a roll log');
+  }
+  if (!(log.version <= ROLL_LOG_VERSION)) {
+    throw new Error(`Roll log version ${log.version} is not supported (expected ${ROLL_LOG_VERSION} or lower)`);
+  }
+  return log;
+}
+
+/**
+ * Face content as plain JSON: an image element becomes its URL and a canvas
+ * a data URL. Other image sources (an ImageBitmap, a cross-origin canvas)
+ * can't be written down and are logged as blank faces.
+ */
+function logFace(content) {
+  if (content == null || typeof content !== 'object') return content;
+  if (typeof content.path === 'string') return { path: content.path, viewBox: content.viewBox };
+  const image = 'image' in content ? content.image : content;
+  if (typeof image === 'string') return { image };
+  if (image && typeof image.src === 'string' && image.src) return { image: image.src };
+  if (image && typeof image.toDataURL === 'function') {
+    try {
+      return { image: image.toDataURL() };
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/** Logical dice as a roll log stores them: faces via logFace, theme objects without non-JSON values */
+export function logDice(dice) {
+  return dice.map(d => {
+    const out = { ...d };
+    if (d.faces) out.faces = d.faces.map(logFace);
+    if (d.theme && typeof d.theme === 'object') {
+      out.theme = {};
+      Object.keys(d.theme).forEach(key => {
+        const v = d.theme[key];
+        if (typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean') out.theme[key] = v;
+      });
+    }
+    return out;
+  });
+}
@@ -0,0 +1,190 @@
+import { randomSeed } from './random.js';
+import { parseRollLog } from './rollLog.js';
+
+// --- Roll sync: every client at a shared table sees the same roll ---
+
+/**
+ * DiceSync -- keeps the DiceScenes of several clients rolling in step. Each
+ * roll a client makes is sent as a roll log (see parseRollLog) as soon as it
+ * is planned, and every other client replays it: same dice, start rotations,
+ * spin, settle or physics throw. roll() is planned as it starts, so remote
+ * dice move with the roller's; other rolls (spin() / settle(), isRolling,
+ * drag throws) are sent when they land and replayed from their start.
+ *
+ *   const sync = new DiceSync(broadcastChannelTransport('table-7'));
+ *   sync.attach(scene);           // or <Dice3D sync={sync} />
+ *   scene.roll([4, 17]);          // every attached client rolls 4 and 17
+ *
+ * A client that joins late asks its peers for the last roll and shows it at
+ * rest. Replayed dice take over until the client's own dice input changes.
+ *
+ * A transport is { send(message), subscribe(listener) => unsubscribe, close?() }
+ * carrying plain JSON objects; messages from a client's own id are ignored,
+ * so a relay may echo them back. Included: createMemoryHub (same page),
+ * broadcastChannelTransport (tabs of one origin) and webSocketTransport.
+ *
+ * Messages:
+ *   { type: 'roll', from, seq, log }      - A roll to replay
+ *   { type: 'hello', from }               - A client joined
+ *   { type: 'state', from, to, seq, log } - Answer to hello: the last roll, to show at rest
+ * `seq` orders rolls (a Lamport clock); older ones than the last seen are dropped.
+ */
+export class DiceSync {
+  constructor(transport, options = {}) {
+    this.id = options.id != null ? String(options.id) : randomSeed().toString(36);
+    this._transport = transport;
+    this._scene = null;
+    this._off = null;
+    this._seq = 0;
+    this._last = null;
+    this._unsubscribe = transport.subscribe(message => this._receive(message));
+    transport.send({ type: 'hello', from: this.id });
+  }
+
+  /** The last roll sent or received, as a roll log (null before the first) */
+  get last() {
+    return this._last ? this._last.log : null;
+  }
+
+  /** Send the rolls of `scene` and replay everyone else's on it; returns a function that detaches it */
+  attach(scene) {
+    this.detach();
+    this._scene = scene;
+    this._off = scene.on('rollplanned', log => this._send(log));
+    // Catch up on a roll that came in before the scene did
+    if (this._last) this._play(this._last.log, true);
+    return () => { if (this._scene === scene) this.detach(); };
+  }
+
+  detach() {
+    if (this._off) this._off();
+    this._off = null;
+    this._scene = null;
+  }
+
+  _send(log) {
+    this._seq++;
+    this._last = { seq: this._seq, from: this.id, log };
+    this._transport.send({ type: 'roll', from: this.id, seq: this._seq, log });
+  }
+
+  _receive(message) {
+    if (!message || message.from === this.id || (message.to != null && message.to !== this.id)) return;
+    if (message.type === 'hello') {
+      if (this._last) {
+        this._transport.send({ type: 'state', from: this.id, to: message.from, seq: this._last.seq, log: this._last.log });
+      }
+      return;
+    }
+    if ((message.type !== 'roll' && message.type !== 'state') || !this._isNewer(message)) return;
+    this._seq = Math.max(this._seq, message.seq);
+    this._last = { seq: message.seq, from: message.from, log: message.log };
+    this._play(message.log, message.type === 'state');
+  }
+
+  /** Whether a roll comes after the last one; equal clocks order by client id */
+  _isNewer(message) {
+    const last = this._last;
+    if (!last) return true;
+    if (message.seq !== last.seq) return message.seq > last.seq;
+    return String(message.from) > String(last.from);
+  }
+
+  /** Replay a roll on the attached scene; `atRest` skips straight to where it landed */
+  _play(log, atRest) {
+    const scene = this._scene;
+    if (!scene) return;
+    try {
+      parseRollLog(log);
+    } catch (e) {
+      // Not a log this version can replay
+      return;
+    }
+    scene.replay(log);
+    if (atRest) scene.stop();
+  }
+
+  /** Detach, stop listening and close the transport */
+  dispose() {
+    this.detach();
+    if (this._unsubscribe) this._unsubscribe();
+    this._unsubscribe = null;
+    if (this._transport.close) this._transport.close();
+  }
+}
+
+/**
+ * In-page transports: every transport from hub.connect() hears the others.
+ * Messages go through JSON and arrive asynchronously, like over a network.
+ */
+export function createMemoryHub() {
+  const peers = new Set();
+  return {
+    connect() {
+      const listeners = new Set();
+      peers.add(listeners);
+      return {
+        send(message) {
+          const data = JSON.stringify(message);
+          peers.forEach(other => {
+            if (other !== listeners) Promise.resolve().then(() => other.forEach(fn => fn(JSON.parse(data))));
+          });
+        },
+        subscribe(fn) {
+          listeners.add(fn);
+          return () => listeners.delete(fn);
+        },
+        close() {
+          peers.delete(listeners);
+        },
+      };
+    },
+  };
+}
+
+/** Transport between the tabs and windows of one origin, over a BroadcastChannel named `name` */
+export function broadcastChannelTransport(name = 'react-3d-dice') {
+  const channel = new BroadcastChannel(name);
+  return {
+    send: message => channel.postMessage(message),
+    subscribe(fn) {
+      const onMessage = ev => fn(ev.data);
+      channel.addEventListener('message', onMessage);
+      return () => channel.removeEventListener('message', onMessage);
+    },
+    close: () => channel.close(),
+  };
+}
+
+/**
+ * Transport over a WebSocket (or anything with send / addEventListener /
+ * readyState) to a server that relays each message to the other clients.
+ * Messages sent before the socket opens are queued. The socket stays open
+ * on close(): it belongs to the app.
+ */
+export function webSocketTransport(socket) {
+  const queue = [];
+  const flush = () => queue.splice(0).forEach(data => socket.send(data));
+  socket.addEventListener('open', flush);
+  return {
+    send(message) {
+      const data = JSON.stringify(message);
+      if (socket.readyState === 1) socket.send(data);
+      else queue.push(data);
+    },
+    subscribe(fn) {
+      const onMessage = ev => {
+        let message;
+        try {
+          message = JSON.parse(ev.data);
+        } catch (e) {
+          return;
+        }
+        fn(message);
+      };
+      socket.addEventListener('message', onMessage);
+      return () => socket.removeEventListener('message', onMessage);
+    },
+    close: () => socket.removeEventListener('open', flush),
+  };
+}
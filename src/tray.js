@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+import { createRng } from './random.js';
+import { parseColorAlpha } from './diceEngine.js';
+
+// --- Tray presentation: perspective camera over a table ---
+
+/** Vertical field of view (degrees) and how far the camera leans back from straight down (radians) */
+export const TRAY_FOV = 35;
+export const TRAY_TILT = 0.35;
+/** Distance the tray walls stand inside the visible area (matches the physics walls) */
+export const TRAY_WALL_INSET = 1;
+
+const TABLE_SIZE = 400;
+const TEXTURE_TILE = 5;
+const WALL_HEIGHT = 1.1;
+const WALL_THICKNESS = 0.35;
+
+const SURFACES = {
+  felt: { color: '#1f5f3a', roughness: 1 },
+  wood: { color: '#8a5a33', roughness: 0.6 },
+};
+
+const WALL_COLOR = '#5b3a21';
+
+/**
+ * Resolve the `tray` option: false/undefined (floating dice), true, or
+ * { surface: 'felt' | 'wood', color, walls, shadows }. Returns null when off.
+ */
+export function trayOptions(tray) {
+  if (!tray) return null;
+  const spec = typeof tray === 'object' ? tray : {};
+  const surface = SURFACES[spec.surface] ? spec.surface : 'felt';
+  return {
+    surface,
+    color: spec.color != null ? spec.color : SURFACES[surface].color,
+    walls: !!spec.walls,
+    shadows: spec.shadows !== false,
+  };
+}
+
+/** Stable string for a tray option, for change detection */
+export function trayKey(tray) {
+  const t = trayOptions(tray);
+  return t ? `${t.surface}:${t.color}:${t.walls}:${t.shadows}` : '';
+}
+
+const surfaceTextures = new Map();
+
+/** Cached grayscale tile for a surface (tinted by the material color) */
+function surfaceTexture(surface) {
+  if (surfaceTextures.has(surface)) return surfaceTextures.get(surface);
+  const sz = 256;
+  const c = document.createElement('canvas');
+  c.width = sz;
+  c.height = sz;
+  const ctx = c.getContext('2d');
+  const rng = createRng(surface);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, sz, sz);
+  if (surface === 'wood') {
+    // Wavy grain lines running across the tile
+    for (let y = 0; y < sz; y += 2) {
+      const shade = 200 + Math.floor(rng() * 40);
+      ctx.strokeStyle = `rgb(${shade}, ${shade}, ${shade})`;
+      ctx.lineWidth = 1 + rng() * 2;
+      ctx.beginPath();
+      for (let x = 0; x <= sz; x += 16) {
+        const wave = Math.sin((x / sz) * Math.PI * 2 + y * 0.05) * 2;
+        if (x === 0) ctx.moveTo(x, y + wave);
+        else ctx.lineTo(x, y + wave);
+      }
+      ctx.stroke();
+    }
+  } else {
+    // Felt: fine speckle
+    for (let i = 0; i < 6000; i++) {
+      const shade = 215 + Math.floor(rng() * 40);
+      ctx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+      ctx.fillRect(rng() * sz, rng() * sz, 1.5, 1.5);
+    }
+  }
+  const tex = new THREE.CanvasTexture(c);
+  tex.wrapS = THREE.RepeatWrapping;
+  tex.wrapT = THREE.RepeatWrapping;
+  tex.repeat.set(TABLE_SIZE / TEXTURE_TILE, TABLE_SIZE / TEXTURE_TILE);
+  surfaceTextures.set(surface, tex);
+  return tex;
+}
+
+/**
+ * Table plane at z = 0 (the physics floor) and, if asked for, four walls.
+ * Returns { group, walls } for placeTray and disposeTray.
+ */
+export function buildTray(tray) {
+  const group = new THREE.Group();
+  // Any color the dice take; its alpha lets the page show through the table
+  const { color, alpha } = parseColorAlpha(tray.color);
+  const table = new THREE.Mesh(
+    new THREE.PlaneGeometry(TABLE_SIZE, TABLE_SIZE),
+    new THREE.MeshStandardMaterial({
+      color,
+      transparent: alpha < 1,
+      opacity: alpha,
+      map: surfaceTexture(tray.surface),
+      roughness: SURFACES[tray.surface].roughness,
+      metalness: 0,
+    })
+  );
+  table.receiveShadow = true;
+  table.raycast = () => {};
+  group.add(table);
+
+  const walls = [];
+  if (tray.walls) {
+    const material = new THREE.MeshStandardMaterial({ color: WALL_COLOR, map: surfaceTexture('wood'), roughness: 0.6 });
+    for (let i = 0; i < 4; i++) {
+      const wall = new THREE.Mesh(new THREE.BoxGeometry(1, 1, WALL_HEIGHT), material);
+      wall.position.z = WALL_HEIGHT / 2;
+      wall.castShadow = true;
+      wall.receiveShadow = true;
+      wall.raycast = () => {};
+      walls.push(wall);
+      group.add(wall);
+    }
+  }
+  return { group, walls };
+}
+
+/** Fit the walls around the visible area `view` ({ halfWidth, halfHeight } at the table) */
+export function placeTray(stage, view) {
+  if (stage.walls.length === 0) return;
+  const hw = view.halfWidth - TRAY_WALL_INSET + WALL_THICKNESS / 2;
+  const hh = view.halfHeight - TRAY_WALL_INSET + WALL_THICKNESS / 2;
+  const [left, right, top, bottom] = stage.walls;
+  left.position.set(-hw, 0, WALL_HEIGHT / 2);
+  right.position.set(hw, 0, WALL_HEIGHT / 2);
+  left.scale.set(WALL_THICKNESS, hh * 2 + WALL_THICKNESS, 1);
+  right.scale.copy(left.scale);
+  top.position.set(0, hh, WALL_HEIGHT / 2);
+  bottom.position.set(0, -hh, WALL_HEIGHT / 2);
+  top.scale.set(hw * 2 + WALL_THICKNESS, WALL_THICKNESS, 1);
+  bottom.scale.copy(top.scale);
+}
+
+export function disposeTray(stage) {
+  stage.group.removeFromParent();
+  stage.group.traverse(o => {
+    if (o.geometry) o.geometry.dispose();
+    if (o.material) o.material.dispose();
+  });
+}
+
+const _v = new THREE.Vector3();
+
+/** Height of a die's center above the table when its lowest point touches it, at its current rotation */
+export function restHeight(geometry, quaternion, scale) {
+  const pos = geometry.attributes.position;
+  let min = Infinity;
+  for (let i = 0; i < pos.count; i++) {
+    min = Math.min(min, _v.fromBufferAttribute(pos, i).applyQuaternion(quaternion).z);
+  }
+  return -min * scale;
+}
@@ -0,0 +1,127 @@
+// Geometry and numbering checks for every built-in die, through inspectDie.
+//
+//   npm test
+//
+// Runs in Node without a GPU or DOM: labels are drawn to a no-op 2D context,
+// since only their placement matters here.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  FACE_LABELED,
+  MAX_TRAPEZOHEDRON_SIDES,
+  buildDieMesh,
+  dieLabelLayout,
+  geomFaceCount,
+  isFaceLabeled,
+} from '../src/diceEngine.js';
+import { DicePool } from '../src/instancing.js';
+import { inspectDie } from '../src/inspect.js';
+
+const noop = () => {};
+const context = new Proxy({}, {
+  get: (_, key) => (key === 'measureText' ? () => ({ width: 0 }) : noop),
+  set: () => true,
+});
+globalThis.document = {
+  createElement: () => ({ width: 0, height: 0, getContext: () => context }),
+};
+
+/** Every labeled shape: the fixed set plus trapezohedra up to d40 */
+const SIDES = [...new Set([...FACE_LABELED, ...Array.from({ length: 16 }, (_, i) => 10 + i * 2)])].sort((a, b) => a - b);
+
+function assertSound(report, name) {
+  assert.deepEqual(report.problems, [], `${name}: ${report.problems.join('; ')}`);
+  assert.equal(report.ok, true);
+}
+
+SIDES.forEach(sides => {
+  test(`d${sides} shape`, () => {
+    const report = inspectDie(sides);
+    assertSound(report, `d${sides}`);
+    assert.equal(report.faces.count, sides);
+    assert.equal(report.settle.results.length, sides);
+    if (sides !== 3 && sides !== 4) assert.ok(report.opposites.pairs.every(p => p.sum === sides + 1));
+  });
+});
+
+test('d4 read at the corners', () => {
+  assertSound(inspectDie(4, { d4Style: 'vertices' }), 'd4 vertices');
+  assertSound(inspectDie(buildDieMesh(4, 0x22c55e, 'numbers', { d4Style: 'vertices' })), 'd4 vertices mesh');
+});
+
+test('built meshes', () => {
+  FACE_LABELED.forEach(sides => assertSound(inspectDie(buildDieMesh(sides, 0x3b82f6, 'numbers')), `d${sides} mesh`));
+  assertSound(inspectDie(buildDieMesh(6, 0xf8fafc, 'dots')), 'd6 pips');
+  ['tens', 'ones'].forEach(part => assertSound(inspectDie(buildDieMesh(10, 0x3b82f6, 'numbers', { percentile: part })), `d% ${part}`));
+  assertSound(inspectDie(buildDieMesh(6, 0x3b82f6, 'numbers', { faces: ['A', 'B', 'C', 'D', 'E', 'F'] })), 'd6 custom faces');
+});
+
+test('pooled dice', () => {
+  const pool = new DicePool([4, 6, 8, 10, 12, 20].map(sides => ({ sides, color: 0x7c3aed })));
+  pool.dice.forEach(die => assertSound(inspectDie(die), `pooled d${die.userData.sides}`));
+  pool.dispose();
+});
+
+test('large trapezohedra', () => {
+  const top = MAX_TRAPEZOHEDRON_SIDES;
+  const report = inspectDie(top);
+  assertSound(report, `d${top}`);
+  assert.equal(report.faces.count, top);
+  // Small labels get small textures
+  const mesh = buildDieMesh(top, 0x3b82f6, 'numbers');
+  const labels = mesh.children.filter(c => c.isMesh);
+  assert.equal(labels.length, top);
+  assert.ok(labels.every(l => l.material.map.image.width === 64));
+  assert.equal(buildDieMesh(10, 0x3b82f6, 'numbers').children.find(c => c.isMesh).material.map.image.width, 256);
+  // Past the cap (and for a lone d100) the die falls back to overlay numbers
+  [100, top + 2, 220, 300, 500].forEach(sides => {
+    assert.equal(isFaceLabeled(sides), false, `d${sides}`);
+    assert.equal(geomFaceCount(sides), 20);
+    assert.equal(inspectDie(sides).labeled, false);
+    assert.equal(buildDieMesh(sides, 0x3b82f6, 'numbers').children.filter(c => c.isMesh).length, 0);
+  });
+});
+
+test('pooled dice past the atlas numbers', () => {
+  const pool = new DicePool([{ sides: 40, color: 0x7c3aed }, { sides: 6, color: 0x7c3aed }]);
+  assert.equal(pool.dice[0].isMesh, true);
+  assertSound(inspectDie(pool.dice[0]), 'pooled d40');
+  assertSound(inspectDie(pool.dice[1]), 'pooled d6');
+  pool.dispose();
+});
+
+test('dice without face labels', () => {
+  const report = inspectDie(7);
+  assert.equal(report.labeled, false);
+  assert.equal(report.ok, true);
+  assert.equal(report.settle, null);
+});
+
+test('finds a repeated number', () => {
+  const mesh = buildDieMesh(20, 0x3b82f6, 'numbers');
+  mesh.userData.faceNumbers = mesh.userData.faceNumbers.map(n => (n === 7 ? 8 : n));
+  const report = inspectDie(mesh);
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.numbers.missing, [7]);
+  assert.deepEqual(report.numbers.duplicates, [8]);
+  assert.equal(report.opposites.ok, false);
+});
+
+test('finds a settle pose on the wrong face', () => {
+  const mesh = buildDieMesh(8, 0x3b82f6, 'numbers');
+  const ntf = mesh.userData.numberToFace;
+  [ntf[1], ntf[2]] = [ntf[2], ntf[1]];
+  const report = inspectDie(mesh);
+  assert.equal(report.settle.ok, false);
+  assert.deepEqual(report.settle.results.filter(r => !r.ok).map(r => r.number), [1, 2]);
+});
+
+test('finds unequal faces', () => {
+  const geometry = new THREE.BoxGeometry(1, 2, 3);
+  const mesh = new THREE.Mesh(geometry);
+  mesh.userData = { sides: 6, ...dieLabelLayout(geometry, 6).userData };
+  const report = inspectDie(mesh);
+  assert.equal(report.areas.ok, false);
+  assert.match(report.problems.join(' '), /Face areas differ/);
+});
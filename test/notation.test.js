@@ -0,0 +1,24 @@
+// Dice notation parsing and rolling.
+//
+//   npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNotation, rollNotation } from '../src/notation.js';
+import { createRng } from '../src/random.js';
+
+test('explode defaults to the highest face', () => {
+  const [d6] = parseNotation('3d6!').terms;
+  assert.deepEqual(d6.modifiers, [{ type: 'explode', compare: { op: '=', value: 6 } }]);
+  assert.throws(() => parseNotation('1d6!!'), /only one explode/);
+  assert.throws(() => parseNotation('1d1!'), /never stop/);
+});
+
+test('fudge dice explode on +1', () => {
+  const [df] = parseNotation('4dF!').terms;
+  assert.deepEqual(df.modifiers, [{ type: 'explode', compare: { op: '=', value: 1 } }]);
+  const roll = rollNotation('20dF!', { rng: createRng(7) });
+  const dice = roll.terms[0].dice;
+  assert.ok(dice.length > 20);
+  dice.forEach(d => assert.equal(d.exploded, d.value === 1));
+  assert.doesNotThrow(() => parseNotation('4dF!>=0'));
+});
@@ -6,13 +6,16 @@ export default defineConfig({
   plugins: [react({ jsxRuntime: 'automatic' })],
   build: {
     lib: {
-      entry: resolve(__dirname, 'src/index.js'),
+      entry: {
+        'react-3d-dice': resolve(__dirname, 'src/index.js'),
+        'react-3d-dice-r3f': resolve(__dirname, 'src/r3f.jsx'),
+      },
       name: 'ReactDice3D',
       formats: ['es', 'cjs'],
-      fileName: (format) => `react-3d-dice.${format}.js`,
+      fileName: (format, entryName) => `${entryName}.${format}.js`,
     },
     rollupOptions: {
-      external: ['react', 'react-dom', 'react/jsx-runtime', 'three'],
+      external: ['react', 'react-dom', 'react/jsx-runtime', 'three', '@react-three/fiber'],
       output: {
         exports: 'named',
         globals: {
@@ -20,6 +23,7 @@ export default defineConfig({
           'react-dom': 'ReactDOM',
           'react/jsx-runtime': 'jsxRuntime',
           three: 'THREE',
+          '@react-three/fiber': 'ReactThreeFiber',
         },
       },
     },